@@ -5,11 +5,6 @@ const Ad = require('../models/Ad');
 // @route   GET /api/ads?period=<7d|30d|90d>
 // @access  Private (Admin only)
 const getAds = asyncHandler(async (req, res) => {
-  if (!req.user.isAdmin) {
-    res.status(403);
-    throw new Error('Admin access required');
-  }
-
   const { period } = req.query;
   const days = period === '7d' ? 7 : period === '30d' ? 30 : 90;
   const startDate = new Date();
@@ -30,11 +25,6 @@ const getAds = asyncHandler(async (req, res) => {
 // @route   GET /api/ads/campaigns?page=<page>&limit=<limit>&count=<true>
 // @access  Private (Admin only)
 const getAdCampaigns = asyncHandler(async (req, res) => {
-  if (!req.user.isAdmin) {
-    res.status(403);
-    throw new Error('Admin access required');
-  }
-
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 5;
   const count = req.query.count === 'true';
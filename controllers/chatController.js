@@ -1,5 +1,36 @@
 const Chat = require('../models/Chat');
+const mongoose = require('mongoose');
 const cloudinary = require('../config/cloudinary');
+const { staffRoom } = require('../utils/permissions');
+
+// Push new messages to both sides of the conversation
+const emitMessages = (req, chat, messages) => {
+  const io = req.app.get('io');
+  const payload = { chatId: chat._id, userId: chat.user._id || chat.user, messages };
+  io.to(staffRoom('chat:manage')).emit('chatMessage', payload);
+  io.to(`user_${payload.userId}`).emit('chatMessage', payload);
+};
+
+// Stamp readAt on every unread message sent by the other side
+const markRead = async (req, chat, reader) => {
+  const sender = reader === 'admin' ? 'user' : 'admin';
+  const readAt = new Date();
+  let changed = false;
+
+  chat.messages.forEach(message => {
+    if (message.sender === sender && !message.readAt) {
+      message.readAt = readAt;
+      changed = true;
+    }
+  });
+  if (!changed) return;
+
+  await chat.save();
+  const io = req.app.get('io');
+  const payload = { chatId: chat._id, reader, readAt };
+  io.to(staffRoom('chat:manage')).emit('chatRead', payload);
+  io.to(`user_${chat.user._id || chat.user}`).emit('chatRead', payload);
+};
 
 exports.createChat = async (req, res) => {
   try {
@@ -25,27 +56,24 @@ exports.sendMessage = async (req, res) => {
       url: file.path,
       public_id: file.filename,
     }));
+    if (!content && !images?.length) {
+      return res.status(400).json({ message: 'Message content or image is required' });
+    }
 
     const chat = await Chat.findOne({ user: req.user._id });
     if (!chat) return res.status(404).json({ message: 'Chat not found' });
 
+    const start = chat.messages.length;
     if (content) {
       chat.messages.push({ sender: 'user', content });
     }
     if (images?.length) {
       images.forEach(image => chat.messages.push({ sender: 'user', image }));
     }
+    chat.lastMessageAt = new Date();
 
     await chat.save();
-
-    // Simulate admin response
-    setTimeout(async () => {
-      chat.messages.push({
-        sender: 'admin',
-        content: content ? 'Thanks for your message! We’re checking on your query.' : `Thanks for sharing ${images.length > 1 ? 'the images' : 'the image'}! We’ll review and respond soon.`,
-      });
-      await chat.save();
-    }, 1500);
+    emitMessages(req, chat, chat.messages.slice(start));
 
     res.json(chat);
   } catch (error) {
@@ -61,4 +89,123 @@ exports.getChat = async (req, res) => {
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
+
+exports.markChatRead = async (req, res) => {
+  try {
+    const chat = await Chat.findOne({ user: req.user._id });
+    if (!chat) return res.status(404).json({ message: 'Chat not found' });
+    await markRead(req, chat, 'user');
+    res.json({ message: 'Chat marked as read' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Admin inbox: every chat with its unread count and last message
+exports.getAdminChats = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const pipeline = [
+      {
+        $project: {
+          user: 1,
+          createdAt: 1,
+          lastMessageAt: 1,
+          lastMessage: { $arrayElemAt: ['$messages', -1] },
+          unreadCount: {
+            $size: {
+              $filter: {
+                input: '$messages',
+                as: 'message',
+                cond: { $and: [{ $eq: ['$$message.sender', 'user'] }, { $not: ['$$message.readAt'] }] },
+              },
+            },
+          },
+        },
+      },
+    ];
+    if (unread === 'true') pipeline.push({ $match: { unreadCount: { $gt: 0 } } });
+    pipeline.push(
+      { $sort: { lastMessageAt: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: Number(limit) },
+      // Aggregation skips the User toJSON transform, so only contact fields are pulled in
+      {
+        $lookup: {
+          from: 'users',
+          let: { userId: '$user' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+            { $project: { name: 1, email: 1, phone: 1 } },
+          ],
+          as: 'user',
+        },
+      },
+      { $unwind: '$user' }
+    );
+
+    const chats = await Chat.aggregate(pipeline);
+    res.json(chats);
+  } catch (error) {
+    console.error('Error in getAdminChats:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.getAdminChat = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid chat ID' });
+    }
+
+    const chat = await Chat.findById(req.params.id).populate('user', 'name email phone');
+    if (!chat) return res.status(404).json({ message: 'Chat not found' });
+
+    await markRead(req, chat, 'admin');
+    res.json(chat);
+  } catch (error) {
+    console.error('Error in getAdminChat:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.sendAdminMessage = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid chat ID' });
+    }
+
+    const { content } = req.body;
+    const images = req.files?.map(file => ({
+      url: file.path,
+      public_id: file.filename,
+    }));
+    if (!content && !images?.length) {
+      return res.status(400).json({ message: 'Message content or image is required' });
+    }
+
+    const chat = await Chat.findById(req.params.id);
+    if (!chat) return res.status(404).json({ message: 'Chat not found' });
+
+    // Replying implies the admin has seen the thread
+    await markRead(req, chat, 'admin');
+
+    const start = chat.messages.length;
+    if (content) {
+      chat.messages.push({ sender: 'admin', content });
+    }
+    if (images?.length) {
+      images.forEach(image => chat.messages.push({ sender: 'admin', image }));
+    }
+    chat.lastMessageAt = new Date();
+
+    await chat.save();
+    emitMessages(req, chat, chat.messages.slice(start));
+
+    res.json(chat);
+  } catch (error) {
+    console.error('Error in sendAdminMessage:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
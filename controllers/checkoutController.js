@@ -1,10 +1,86 @@
-const axios = require('axios');
 const mongoose = require('mongoose');
 const Cart = require('../models/Cart');
 const Address = require('../models/Address');
 const PaymentMethod = require('../models/PaymentMethod');
 const Order = require('../models/Order');
 const User = require('../models/User');
+const { reserveStock, releaseStock } = require('../utils/stock');
+const { paystack, applyCharge, chargeAuthorization, initializeTransaction, newReference } = require('../utils/paystack');
+const { evaluateCoupon, redeemCoupon, releaseCoupon } = require('../utils/coupons');
+const { quoteDelivery } = require('../utils/shipping');
+const { signGuestOrderToken, verifyGuestOrderToken } = require('../utils/authTokens');
+const { sendMail, escapeHtml } = require('../utils/mailer');
+const { storePaymentProof } = require('./orderController');
+const { notifyOrderEvent } = require('./notificationController');
+const { bankTransferInstructions } = require('../utils/reconciliation');
+const { staffRoom } = require('../utils/permissions');
+
+const GUEST_PAYMENT_METHODS = ['Pay on Delivery', 'Bank Transfer', 'Paystack'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Multipart bodies carry nested objects as JSON strings
+const parseField = value => {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+};
+
+// Guests keep their cart in localStorage; price it the same way as a saved cart
+const guestCartLines = async rawItems => {
+  const items = parseField(rawItems);
+  if (!Array.isArray(items) || items.length === 0) throw new Error('Cart is empty');
+
+  const cart = new Cart({
+    items: items.map(item => ({
+      product: item.productId,
+      variant: item.variantId || undefined,
+      quantity: Math.max(1, parseInt(item.quantity, 10) || 1),
+    })),
+  });
+  if (cart.items.some(item => !mongoose.Types.ObjectId.isValid(item.product))) throw new Error('Invalid product ID');
+  await cart.populate('items.product');
+
+  cart.items.forEach(item => {
+    if (!item.product) throw new Error('A product in your cart is no longer available');
+    if (item.variant && !item.product.variants.id(item.variant)) {
+      throw new Error(`Selected option for ${item.product.name} is no longer available`);
+    }
+  });
+  return cart.orderLines();
+};
+
+const guestAddress = raw => {
+  const address = parseField(raw);
+  const fields = ['street', 'city', 'state', 'country', 'postalCode', 'phone'];
+  return fields.reduce((clean, key) => {
+    if (address[key]) clean[key] = String(address[key]).trim();
+    return clean;
+  }, {});
+};
+
+// Totals for a guest cart; coupon errors are thrown unless `lenient` is set
+const priceGuestCart = async ({ lines, address, couponCode, email, lenient }) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const shipping = await quoteDelivery({ address, items: lines, subtotal });
+
+  let applied = null;
+  let couponError = null;
+  if (couponCode) {
+    try {
+      applied = await evaluateCoupon(couponCode, { email, items: lines, subtotal });
+    } catch (error) {
+      if (!lenient) throw error;
+      couponError = error.message;
+    }
+  }
+  const discount = applied ? applied.discount : 0;
+  const deliveryFee = applied?.freeDelivery ? 0 : shipping.fee;
+
+  return { applied, couponError, subtotal, discount, deliveryFee, total: subtotal - discount + deliveryFee, shipping };
+};
 
 exports.getCheckoutData = async (req, res) => {
   try {
@@ -26,10 +102,30 @@ exports.getCheckoutData = async (req, res) => {
     // Fetch user for email
     const user = await User.findById(req.user._id).select('email');
 
+    // Quote delivery to the selected address, falling back to the default one
+    const selectedAddress = addresses.find(a => a._id.toString() === req.query.addressId)
+      || defaultAddress || addresses[0] || null;
+
     // Calculate totals
-    const subtotal = cart.items.reduce((sum, item) => sum + item.product.price * item.quantity, 0);
-    const deliveryFee = 5000;
-    const total = subtotal + deliveryFee;
+    const lines = cart.orderLines();
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const shipping = await quoteDelivery({ address: selectedAddress, items: lines, subtotal });
+    let deliveryFee = shipping.fee;
+
+    // Preview a coupon without failing the whole checkout if it is invalid
+    let coupon = null;
+    let couponError = null;
+    if (req.query.couponCode) {
+      try {
+        const applied = await evaluateCoupon(req.query.couponCode, { userId: req.user._id, email: req.user.email, items: lines, subtotal });
+        coupon = { code: applied.coupon.code, discount: applied.discount, freeDelivery: applied.freeDelivery };
+        if (applied.freeDelivery) deliveryFee = 0;
+      } catch (error) {
+        couponError = error.message;
+      }
+    }
+    const discount = coupon ? coupon.discount : 0;
+    const total = subtotal - discount + deliveryFee;
 
     res.json({
       cart: cart.items,
@@ -39,9 +135,14 @@ exports.getCheckoutData = async (req, res) => {
       paymentMethods,
       summary: {
         subtotal,
+        discount,
         deliveryFee,
         total,
-        itemCount: cart.items.length
+        itemCount: cart.items.length,
+        shippingZone: shipping.zone,
+        freeShipping: shipping.freeShipping,
+        coupon,
+        couponError
       }
     });
   } catch (error) {
@@ -50,9 +151,55 @@ exports.getCheckoutData = async (req, res) => {
   }
 };
 
+// Charge a saved card for a freshly placed order. A declined charge cancels the
+// order and returns its stock and coupon; a pending one is settled by the webhook.
+const chargeSavedCard = async (req, order, card, applied) => {
+  const reference = newReference(order);
+  order.paymentReference = reference;
+  await order.save();
+
+  let transaction;
+  try {
+    transaction = await chargeAuthorization({
+      authorizationCode: card.authorizationCode,
+      email: card.email || req.user.email,
+      amount: order.total,
+      reference,
+      metadata: { orderId: order._id.toString() },
+    });
+  } catch (error) {
+    console.error('Saved card charge failed:', error.response?.data || error.message);
+    transaction = { status: 'failed' };
+  }
+
+  if (!['success', 'failed', 'reversed'].includes(transaction.status)) return 'pending';
+
+  const result = await applyCharge(order, reference, transaction);
+  if (result !== 'success') {
+    order.transitionTo('Cancelled', { note: 'Saved card payment was declined' });
+    await order.save();
+    await releaseStock(order.items);
+    if (applied) await releaseCoupon(applied.coupon);
+  }
+  return result;
+};
+
+// Open (or reopen) Paystack's hosted checkout for an order. Paystack sends the
+// customer back to checkout.html, which verifies the reference we issued.
+const startPaystackCheckout = async (req, order, { email, guestToken }) => {
+  const existing = order.paystackCheckout;
+  if (existing?.authorizationUrl && existing.amount === order.total && order.paymentReference) {
+    return { reference: order.paymentReference, authorizationUrl: existing.authorizationUrl, accessCode: existing.accessCode };
+  }
+
+  const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  const callbackUrl = `${baseUrl}/checkout.html?order=${order._id}${guestToken ? `&token=${guestToken}` : ''}`;
+  return initializeTransaction(order, { email, callbackUrl });
+};
+
 exports.createOrder = async (req, res) => {
   try {
-    const { addressId, paymentMethod, orderNotes } = req.body;
+    const { addressId, paymentMethod, orderNotes, couponCode, paymentMethodId, saveCard } = req.body;
 
     // Validate inputs
     if (!addressId || !paymentMethod) {
@@ -82,9 +229,16 @@ exports.createOrder = async (req, res) => {
       return res.status(404).json({ message: 'Address not found' });
     }
 
-    // Validate payment method (excluding Paystack and Pay on Delivery)
-    if (paymentMethod !== 'Pay on Delivery' && paymentMethod !== 'Paystack') {
-      const payment = await PaymentMethod.findOne({ user: req.user._id, type: paymentMethod === 'Card Payment' ? 'card' : 'bank' });
+    // Card payments charge a saved Paystack authorization; bank transfers need a bank method on file
+    let savedCard = null;
+    if (paymentMethod === 'Card Payment') {
+      if (!mongoose.Types.ObjectId.isValid(paymentMethodId)) {
+        return res.status(400).json({ message: 'Choose a saved card' });
+      }
+      savedCard = await PaymentMethod.findOne({ _id: paymentMethodId, user: req.user._id, type: 'card' }).select('+authorizationCode');
+      if (!savedCard) return res.status(404).json({ message: 'Saved card not found' });
+    } else if (paymentMethod === 'Bank Transfer') {
+      const payment = await PaymentMethod.findOne({ user: req.user._id, type: 'bank' });
       if (!payment) {
         console.log('Payment method not found for type:', paymentMethod);
         return res.status(400).json({ message: `Please add a ${paymentMethod.toLowerCase()} method` });
@@ -92,52 +246,288 @@ exports.createOrder = async (req, res) => {
     }
 
     // Calculate totals
-    const subtotal = cart.items.reduce((sum, item) => sum + item.product.price * item.quantity, 0);
-    const deliveryFee = 5000;
-    const total = subtotal + deliveryFee;
+    const lines = cart.orderLines();
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+    // Coupon errors surface to the customer as a 400 with the reason
+    const applied = couponCode
+      ? await evaluateCoupon(couponCode, { userId: req.user._id, email: req.user.email, items: lines, subtotal })
+      : null;
+    const discount = applied ? applied.discount : 0;
+    const shipping = await quoteDelivery({ address, items: lines, subtotal });
+    const deliveryFee = applied?.freeDelivery ? 0 : shipping.fee;
+    const total = subtotal - discount + deliveryFee;
+
+    const items = lines.map(line => ({ ...line, product: line.product._id }));
+
+    // Reserve stock before the order exists; nothing is taken if any line is short
+    const shortages = await reserveStock(items);
+    if (shortages.length) {
+      console.log('Insufficient stock for order:', shortages);
+      return res.status(409).json({ message: 'Insufficient stock', items: shortages });
+    }
+
+    if (applied) {
+      try {
+        await redeemCoupon(applied.coupon);
+      } catch (error) {
+        await releaseStock(items);
+        throw error;
+      }
+    }
 
     // Create order
     const order = new Order({
       user: req.user._id,
       addressId: address._id,
-      items: cart.items.map(item => ({
-        product: item.product._id,
-        quantity: item.quantity,
-        price: item.product.price
-      })),
+      items,
       subtotal,
+      discount,
+      coupon: applied ? { code: applied.coupon.code, discount, freeDelivery: applied.freeDelivery } : undefined,
       deliveryFee,
       total,
       paymentMethod,
-      paymentStatus: paymentMethod === 'Paystack' ? 'pending' : 'completed',
+      paymentStatus: 'pending', // Pay on Delivery is settled when the order is delivered
+      saveCard: paymentMethod === 'Paystack' && !!saveCard,
       orderNotes: orderNotes?.trim(),
       tracking: [{ status: 'Placed', date: new Date() }]
     });
 
-    await order.save();
+    try {
+      await order.place();
+    } catch (error) {
+      await releaseStock(items);
+      if (applied) await releaseCoupon(applied.coupon);
+      throw error;
+    }
+
+    const chargeResult = savedCard ? await chargeSavedCard(req, order, savedCard, applied) : null;
+    const declined = chargeResult && !['success', 'pending'].includes(chargeResult);
     await order.populate('items.product');
 
+    // Emit WebSocket event
+    const io = req.app.get('io');
+    io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+    io.to(`user_${req.user._id}`).emit('orderStatusUpdate', order);
+
+    // A declined card leaves the cart as it was so the customer can pay another way
+    if (declined) {
+      return res.status(402).json({ message: 'Your card was declined and the order was cancelled', _id: order._id, orderNumber: order.orderNumber });
+    }
+
     // Clear cart
     cart.items = [];
     await cart.save();
 
-    // Emit WebSocket event
-    const io = req.app.get('io');
-    io.to('adminRoom').emit('orderStatusUpdate', order);
-    io.to(`user_${req.user._id}`).emit('orderStatusUpdate', order);
+    notifyOrderEvent(req, order, 'created');
+    if (chargeResult === 'success') notifyOrderEvent(req, order, 'payment');
+
+    // The order stands if Paystack is unreachable; the client can retry through /paystack/initialize
+    let paystackCheckout;
+    if (order.paymentMethod === 'Paystack') {
+      try {
+        paystackCheckout = await startPaystackCheckout(req, order, { email: req.user.email });
+      } catch (error) {
+        console.error('Error initializing Paystack transaction:', error.response?.data || error.message);
+      }
+    }
+
+    const bankTransfer = order.paymentMethod === 'Bank Transfer' ? await bankTransferInstructions(order) : undefined;
 
     console.log('Order created successfully:', order.orderNumber);
-    res.status(201).json({ _id: order._id, orderNumber: order.orderNumber });
+    res.status(201).json({ _id: order._id, orderNumber: order.orderNumber, paymentStatus: order.paymentStatus, bankTransfer, ...paystackCheckout });
   } catch (error) {
     console.error('Error in createOrder:', error);
     res.status(400).json({ message: error.message });
   }
 };
 
+exports.getGuestQuote = async (req, res) => {
+  try {
+    const { items, address, couponCode, email } = req.body;
+    const lines = await guestCartLines(items);
+    const quote = await priceGuestCart({ lines, address: guestAddress(address), couponCode, email, lenient: true });
+
+    res.json({
+      items: lines.map(line => ({
+        product: { _id: line.product._id, name: line.product.name, images: line.product.images },
+        variant: line.variant,
+        variantOptions: line.variantOptions,
+        quantity: line.quantity,
+        price: line.price,
+      })),
+      summary: {
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        deliveryFee: quote.deliveryFee,
+        total: quote.total,
+        itemCount: lines.length,
+        shippingZone: quote.shipping.zone,
+        freeShipping: quote.shipping.freeShipping,
+        coupon: quote.applied ? { code: quote.applied.coupon.code, discount: quote.discount, freeDelivery: quote.applied.freeDelivery } : null,
+        couponError: quote.couponError,
+      },
+    });
+  } catch (error) {
+    console.error('Error in getGuestQuote:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.createGuestOrder = async (req, res) => {
+  try {
+    const { items: rawItems, paymentMethod, orderNotes, couponCode } = req.body;
+    const contact = parseField(req.body.contact);
+    const address = guestAddress(req.body.address);
+
+    const name = contact.name?.trim();
+    const email = contact.email?.trim().toLowerCase();
+    const phone = contact.phone?.trim();
+    if (!name || !email || !phone) {
+      return res.status(400).json({ message: 'Name, email and phone are required' });
+    }
+    if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ message: 'Invalid email address' });
+    if (!address.street || !address.city || !address.state || !address.country) {
+      return res.status(400).json({ message: 'Street, city, state and country are required' });
+    }
+    if (!GUEST_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ message: 'Invalid payment method' });
+    }
+
+    const lines = await guestCartLines(rawItems);
+    const { applied, subtotal, discount, deliveryFee, total } = await priceGuestCart({ lines, address, couponCode, email });
+    const items = lines.map(line => ({ ...line, product: line.product._id }));
+
+    const shortages = await reserveStock(items);
+    if (shortages.length) {
+      return res.status(409).json({ message: 'Insufficient stock', items: shortages });
+    }
+
+    if (applied) {
+      try {
+        await redeemCoupon(applied.coupon);
+      } catch (error) {
+        await releaseStock(items);
+        throw error;
+      }
+    }
+
+    // Upload only once the order can go through, so a rejected order leaves no stray proof
+    let paymentProof;
+    if (req.file) {
+      try {
+        paymentProof = await storePaymentProof(req.file);
+      } catch (error) {
+        await releaseStock(items);
+        if (applied) await releaseCoupon(applied.coupon);
+        throw error;
+      }
+    }
+
+    const order = new Order({
+      guest: { name, email, phone },
+      shippingAddress: { ...address, phone: address.phone || phone },
+      items,
+      subtotal,
+      discount,
+      coupon: applied ? { code: applied.coupon.code, discount, freeDelivery: applied.freeDelivery } : undefined,
+      deliveryFee,
+      total,
+      paymentMethod,
+      paymentProof,
+      paymentStatus: 'pending',
+      orderNotes: orderNotes?.trim(),
+      tracking: [{ status: 'Placed', date: new Date() }]
+    });
+
+    try {
+      await order.place();
+    } catch (error) {
+      await releaseStock(items);
+      if (applied) await releaseCoupon(applied.coupon);
+      throw error;
+    }
+
+    const trackingToken = signGuestOrderToken(order);
+    const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+    const trackingUrl = `${baseUrl}/track-order.html?order=${order._id}&token=${trackingToken}`;
+
+    const io = req.app.get('io');
+    io.to(staffRoom('orders:read')).emit('newOrder', { _id: order._id, orderNumber: order.orderNumber, user: { name: `${name} (guest)` }, total: order.total, status: order.status, paymentProof: order.paymentProof, createdAt: order.createdAt });
+    io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+
+    const bankTransfer = order.paymentMethod === 'Bank Transfer' ? await bankTransferInstructions(order) : undefined;
+    const transferNote = bankTransfer
+      ? `Please pay ₦${bankTransfer.amountDue.toLocaleString()} by bank transfer with ${bankTransfer.transferCode} as the narration so we can match your payment.`
+      : '';
+
+    // The order stands even if the confirmation email cannot be sent
+    try {
+      await sendMail({
+        to: email,
+        subject: `Your Pulse Parcel order ${order.orderNumber}`,
+        text: `Hi ${name},\n\nThanks for your order ${order.orderNumber}. You can follow it here:\n\n${trackingUrl}\n\n${transferNote ? `${transferNote}\n\n` : ''}Create an account with this email address and we'll send you a link to add the order to your history.`,
+        html: `<p>Hi ${escapeHtml(name)},</p><p>Thanks for your order <strong>${order.orderNumber}</strong>.</p><p><a href="${trackingUrl}">Track my order</a></p>${transferNote ? `<p>${transferNote}</p>` : ''}<p>Create an account with this email address and we'll send you a link to add the order to your history.</p>`,
+      });
+    } catch (error) {
+      console.error('Error sending guest order confirmation:', error);
+    }
+
+    let paystackCheckout;
+    if (order.paymentMethod === 'Paystack') {
+      try {
+        paystackCheckout = await startPaystackCheckout(req, order, { email, guestToken: trackingToken });
+      } catch (error) {
+        console.error('Error initializing Paystack transaction:', error.response?.data || error.message);
+      }
+    }
+
+    console.log('Guest order created successfully:', order.orderNumber);
+    res.status(201).json({ _id: order._id, orderNumber: order.orderNumber, total: order.total, trackingToken, trackingUrl, bankTransfer, ...paystackCheckout });
+  } catch (error) {
+    console.error('Error in createGuestOrder:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Starts (or resumes) the Paystack transaction for an unpaid order
+exports.initializePayment = async (req, res) => {
+  try {
+    const { orderId, token } = req.body;
+    const userId = req.user?._id;
+
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+    if (!userId && !verifyGuestOrderToken(token, orderId)) {
+      return res.status(403).json({ message: 'Invalid or expired tracking link' });
+    }
+    const order = await Order.findOne(userId ? { _id: orderId, user: userId } : { _id: orderId });
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (order.paymentMethod !== 'Paystack') {
+      return res.status(400).json({ message: 'Order does not use Paystack payment method' });
+    }
+    if (order.isPaid()) {
+      return res.status(400).json({ message: 'Order has already been paid' });
+    }
+    if (order.status === 'Cancelled') {
+      return res.status(400).json({ message: 'Order has been cancelled' });
+    }
+
+    const email = userId ? req.user.email : order.guest?.email;
+    const checkout = await startPaystackCheckout(req, order, { email, guestToken: userId ? undefined : token });
+    res.json({ _id: order._id, orderNumber: order.orderNumber, ...checkout });
+  } catch (error) {
+    console.error('Error in initializePayment:', error.response?.data || error);
+    res.status(502).json({ message: 'Could not start the payment, please try again' });
+  }
+};
+
+// Signed-in customers verify by session; guests present their tracking token
 exports.verifyPayment = async (req, res) => {
   try {
-    const { reference, orderId } = req.body;
-    const userId = req.user._id;
+    const { reference, orderId, token } = req.body;
+    const userId = req.user?._id;
     const isTestMode = process.env.NODE_ENV === 'test' || process.env.PAYSTACK_SECRET_KEY.startsWith('sk_test_');
 
     // Validate inputs
@@ -151,7 +541,10 @@ exports.verifyPayment = async (req, res) => {
     }
 
     // Fetch order
-    const order = await Order.findOne({ _id: orderId, user: userId });
+    if (!userId && !verifyGuestOrderToken(token, orderId)) {
+      return res.status(403).json({ message: 'Invalid or expired tracking link' });
+    }
+    const order = await Order.findOne(userId ? { _id: orderId, user: userId } : { _id: orderId });
     if (!order) {
       console.log('Order not found:', orderId);
       return res.status(404).json({ message: 'Order not found' });
@@ -160,6 +553,11 @@ exports.verifyPayment = async (req, res) => {
       console.log('Invalid payment method for order:', order.paymentMethod);
       return res.status(400).json({ message: 'Order does not use Paystack payment method' });
     }
+    // Only references we issued for this order are accepted
+    if (reference !== order.paymentReference) {
+      console.log('Unknown payment reference for order:', order.orderNumber, reference);
+      return res.status(400).json({ message: 'Unknown payment reference' });
+    }
 
     // Verify payment with Paystack
     const maxRetries = 3;
@@ -168,9 +566,7 @@ exports.verifyPayment = async (req, res) => {
 
     while (attempt < maxRetries) {
       try {
-        verificationResponse = await axios.get(`https://api.paystack.co/transaction/verify/${reference}`, {
-          headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` }
-        });
+        verificationResponse = await paystack.get(`/transaction/verify/${encodeURIComponent(reference)}`);
         console.log(`Paystack verification attempt ${attempt + 1}/${maxRetries} succeeded`);
         break;
       } catch (error) {
@@ -201,37 +597,28 @@ exports.verifyPayment = async (req, res) => {
       });
     }
 
-    if (verificationResponse.data.status && verificationResponse.data.data.status === 'success') {
-      // Validate amount
-      const paidAmount = verificationResponse.data.data.amount / 100; // Convert from kobo to NGN
-      if (paidAmount !== order.total) {
-        console.log('Payment amount mismatch:', { paidAmount, orderTotal: order.total });
-        order.paymentStatus = 'failed';
-        order.paymentReference = reference;
-        await order.save();
-        return res.status(400).json({ message: 'Payment amount mismatch' });
-      }
+    const transaction = verificationResponse.data.status ? verificationResponse.data.data : { status: 'failed' };
+    const result = await applyCharge(order, reference, transaction);
 
-      // Update order
-      order.paymentStatus = 'completed';
-      order.paymentReference = reference;
-      order.tracking.push({ status: 'Payment Confirmed', date: new Date() });
-      await order.save();
-
-      // Emit WebSocket event
-      const io = req.app.get('io');
-      io.to('adminRoom').emit('orderStatusUpdate', order);
-      io.to(`user_${userId}`).emit('orderStatusUpdate', order);
-
-      console.log('Payment verified successfully for order:', order.orderNumber);
-      res.json({ status: 'success', orderNumber: order.orderNumber });
-    } else {
-      order.paymentStatus = 'failed';
-      order.paymentReference = reference;
-      await order.save();
+    if (result === 'unknown_reference') {
+      return res.status(400).json({ message: 'Unknown payment reference' });
+    }
+    if (result === 'amount_mismatch') {
+      return res.status(400).json({ message: 'Payment amount mismatch' });
+    }
+    if (result === 'failed') {
       console.log('Payment verification failed for order:', order.orderNumber);
       return res.status(400).json({ message: 'Payment verification failed' });
     }
+
+    // Emit WebSocket event
+    const io = req.app.get('io');
+    io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+    if (userId) io.to(`user_${userId}`).emit('orderStatusUpdate', order);
+    notifyOrderEvent(req, order, 'payment');
+
+    console.log('Payment verified successfully for order:', order.orderNumber);
+    res.json({ status: 'success', orderNumber: order.orderNumber });
   } catch (error) {
     console.error('Error in verifyPayment:', error);
     res.status(500).json({
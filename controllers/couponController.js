@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minSubtotal', 'freeDelivery',
+  'categories', 'products', 'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'isActive',
+];
+
+const pickCouponFields = body => COUPON_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+exports.getCoupons = async (req, res) => {
+  try {
+    const { active } = req.query;
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    console.error('Error in getCoupons:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.getCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+    const coupon = await Coupon.findById(req.params.id).populate('categories', 'name').populate('products', 'name');
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+    res.json(coupon);
+  } catch (error) {
+    console.error('Error in getCoupon:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.createCoupon = async (req, res) => {
+  try {
+    const { code, type, value } = req.body;
+    if (!code || !type || value === undefined) {
+      return res.status(400).json({ message: 'Code, type and value are required' });
+    }
+    const existing = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (existing) return res.status(400).json({ message: 'A coupon with this code already exists' });
+
+    const coupon = await Coupon.create(pickCouponFields(req.body));
+    await recordAudit(req, {
+      action: 'coupon.create',
+      targetType: 'Coupon',
+      target: coupon,
+      targetLabel: coupon.code,
+      after: snapshot(coupon, COUPON_FIELDS),
+    });
+    res.status(201).json(coupon);
+  } catch (error) {
+    console.error('Error in createCoupon:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.updateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    const before = snapshot(coupon, COUPON_FIELDS);
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+    await recordAudit(req, {
+      action: 'coupon.update',
+      targetType: 'Coupon',
+      target: coupon,
+      targetLabel: coupon.code,
+      before,
+      after: snapshot(coupon, COUPON_FIELDS),
+    });
+    res.json(coupon);
+  } catch (error) {
+    console.error('Error in updateCoupon:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.deleteCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+    await recordAudit(req, {
+      action: 'coupon.delete',
+      targetType: 'Coupon',
+      target: coupon,
+      targetLabel: coupon.code,
+      before: snapshot(coupon, COUPON_FIELDS),
+    });
+    res.json({ message: 'Coupon deleted' });
+  } catch (error) {
+    console.error('Error in deleteCoupon:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
@@ -2,6 +2,9 @@
 const User = require('../models/User');
 const Order = require('../models/Order');
 const Notification = require('../models/Notification');
+const { deliverNotifications } = require('./notificationController');
+const { revokeSessions } = require('../utils/authTokens');
+const { recordAudit } = require('../utils/audit');
 const cloudinary = require('../config/cloudinary');
 const mongoose = require('mongoose');
 const fs = require('fs');
@@ -9,8 +12,6 @@ const path = require('path');
 
 exports.getAllCustomers = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
-
     const { search, orderId } = req.query;
     let query = { isAdmin: false };
 
@@ -37,7 +38,6 @@ exports.getAllCustomers = async (req, res) => {
 
 exports.getCustomerById = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
     const customer = await User.findOne({ _id: req.params.id, isAdmin: false })
       .select('name email phone address createdAt isSuspended');
     if (!customer) return res.status(404).json({ message: 'Customer not found' });
@@ -51,14 +51,25 @@ exports.getCustomerById = async (req, res) => {
 
 exports.suspendCustomer = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
     const { suspended } = req.body;
-    const customer = await User.findOneAndUpdate(
-      { _id: req.params.id, isAdmin: false },
-      { isSuspended: suspended },
-      { new: true }
-    );
+    const customer = await User.findOne({ _id: req.params.id, isAdmin: false });
     if (!customer) return res.status(404).json({ message: 'Customer not found' });
+
+    const wasSuspended = customer.isSuspended;
+    customer.isSuspended = suspended;
+    await customer.save();
+
+    await recordAudit(req, {
+      action: customer.isSuspended ? 'customer.suspend' : 'customer.unsuspend',
+      targetType: 'User',
+      target: customer,
+      targetLabel: customer.email,
+      before: { isSuspended: wasSuspended },
+      after: { isSuspended: customer.isSuspended },
+    });
+
+    // Suspension takes effect now rather than when the access token expires
+    if (suspended) await revokeSessions({ user: customer._id }, 'account suspended', req.app.get('io'));
     res.json(customer);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -67,7 +78,6 @@ exports.suspendCustomer = async (req, res) => {
 
 exports.getInactiveCustomers = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const activeUsers = await Order.distinct('user', { createdAt: { $gte: thirtyDaysAgo } });
     const inactiveCustomers = await User.find({
@@ -82,7 +92,6 @@ exports.getInactiveCustomers = async (req, res) => {
 
 exports.getMostOrderedItems = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
     const mostOrdered = await Order.aggregate([
       { $unwind: '$items' },
       { $group: { _id: '$items.product', totalQuantity: { $sum: '$items.quantity' } } },
@@ -99,8 +108,6 @@ exports.getMostOrderedItems = async (req, res) => {
 
 exports.exportCustomers = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
-
     const { search, orderId } = req.query;
     let query = { isAdmin: false };
 
@@ -140,7 +147,6 @@ exports.exportCustomers = async (req, res) => {
 
 exports.sendBroadcast = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
     const { message, filterType, image } = req.body; // image is base64 or url, but assume upload
 
     let users;
@@ -163,6 +169,13 @@ exports.sendBroadcast = async (req, res) => {
         Notification.create({ userId: user._id, message, type: 'broadcast', imageUrl })
       )
     );
+    deliverNotifications(req.app.get('io'), notifications);
+
+    await recordAudit(req, {
+      action: 'customer.broadcast',
+      targetType: 'Broadcast',
+      metadata: { message, filterType: filterType || 'all', imageUrl, recipients: notifications.length },
+    });
 
     res.status(201).json({ message: 'Broadcast sent', notifications });
   } catch (error) {
@@ -1,6 +1,7 @@
 const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const { loginResponse } = require('../utils/authTokens');
 const { createNotification } = require('./notificationController');
 
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
@@ -28,18 +29,20 @@ exports.googleAuth = async (req, res) => {
         picture,
       });
       await user.save();
+      // Google has verified the email, so guest orders can be attached straight away
+      await Order.claimGuestOrders(user);
       // Create signup notification
-      await createNotification(user._id, `Welcome to 10kVendor, ${name}! You signed up with Google.`, 'order');
+      await createNotification(user._id, `Welcome to 10kVendor, ${name}! You signed up with Google.`, 'account', { io: req.app.get('io') });
     } else if (!user.googleId) {
       user.googleId = googleId;
       user.picture = picture;
       await user.save();
       // Create notification for linking Google account
-      await createNotification(user._id, `Your 10kVendor account is now linked with Google.`, 'order');
+      await createNotification(user._id, `Your 10kVendor account is now linked with Google.`, 'account', { io: req.app.get('io') });
     }
 
-    const jwtToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
-    res.json({ user, token: jwtToken });
+    if (user.isSuspended) return res.status(403).json({ message: 'Your account has been suspended' });
+    res.json(await loginResponse(user, req));
   } catch (error) {
     res.status(400).json({ message: 'Google authentication failed', error: error.message });
   }
@@ -1,10 +1,26 @@
+const mongoose = require('mongoose');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const { orderMessage, notifyOrder } = require('../utils/push');
 
-exports.createNotification = async (userId, message, type = 'order') => {
+const MAX_PAGE_SIZE = 100;
+
+// Push new notifications to each recipient's socket room
+const deliver = (io, notifications) => {
+  if (!io) return;
+  notifications.forEach(notification => {
+    io.to(`user_${notification.userId}`).emit('newNotification', notification);
+  });
+};
+exports.deliverNotifications = deliver;
+
+// `options.io` delivers it live; `link` and `order` are stored with it
+exports.createNotification = async (userId, message, type = 'order', options = {}) => {
   try {
-    const notification = new Notification({ userId, message, type });
+    const { io, link, order, imageUrl } = options;
+    const notification = new Notification({ userId, message, type, link, order, imageUrl });
     await notification.save();
+    deliver(io, [notification]);
     return notification;
   } catch (error) {
     console.error('Error creating notification:', error);
@@ -12,18 +28,34 @@ exports.createNotification = async (userId, message, type = 'order') => {
   }
 };
 
+// In-app notification plus web push for an order event ('created', 'status', 'payment').
+// Never throws; guest orders have no account to notify.
+exports.notifyOrderEvent = async (req, order, event) => {
+  const userId = order.user?._id || order.user;
+  if (!userId) return;
+  try {
+    const { title, body, url } = orderMessage(order, event);
+    await exports.createNotification(userId, `${title}: ${body}`, event === 'payment' ? 'payment' : 'order', {
+      io: req.app.get('io'),
+      link: url,
+      order: order._id,
+    });
+  } catch (error) {
+    console.error('Error creating order notification:', error);
+  }
+  notifyOrder(order, event);
+};
+
 exports.createAdvertisementNotification = async (req, res) => {
   try {
     const { message } = req.body;
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
     if (!message) return res.status(400).json({ message: 'Message is required' });
 
-    const users = await User.find({});
-    const notifications = await Promise.all(
-      users.map(user =>
-        Notification.create({ userId: user._id, message, type: 'advertisement' })
-      )
+    const users = await User.find({}).select('_id');
+    const notifications = await Notification.insertMany(
+      users.map(user => ({ userId: user._id, message, type: 'advertisement' }))
     );
+    deliver(req.app.get('io'), notifications);
 
     res.status(201).json({ message: 'Advertisement notification sent', notifications });
   } catch (error) {
@@ -31,20 +63,52 @@ exports.createAdvertisementNotification = async (req, res) => {
   }
 };
 
+// Shared filter for listing, counting and mark-all-read: ?type=order,payment
+const userFilter = (req) => {
+  const filter = { userId: req.user._id };
+  const types = String(req.query.type || req.body?.type || '').split(',').map(t => t.trim()).filter(Boolean);
+  if (types.length) {
+    const invalid = types.filter(type => !Notification.TYPES.includes(type));
+    if (invalid.length) throw new Error(`Unknown notification type: ${invalid.join(', ')}`);
+    filter.type = { $in: types };
+  }
+  return filter;
+};
+
 exports.getNotifications = async (req, res) => {
   try {
-    const notifications = await Notification.find({ userId: req.user._id })
-      .sort({ createdAt: -1 })
-      .limit(10);
-    res.json(notifications);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = userFilter(req);
+    if (req.query.unread === 'true') filter.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.user._id, isRead: false }),
+    ]);
+
+    res.json({ notifications, page, limit, total, totalPages: Math.ceil(total / limit), unreadCount });
   } catch (error) {
     res.status(400).json({ message: 'Failed to fetch notifications', error: error.message });
   }
 };
 
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ ...userFilter(req), isRead: false });
+    res.json({ count });
+  } catch (error) {
+    res.status(400).json({ message: 'Failed to count notifications', error: error.message });
+  }
+};
+
 exports.markAsRead = async (req, res) => {
   try {
     const { notificationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
     const notification = await Notification.findOneAndUpdate(
       { _id: notificationId, userId: req.user._id },
       { isRead: true },
@@ -55,4 +119,27 @@ exports.markAsRead = async (req, res) => {
   } catch (error) {
     res.status(400).json({ message: 'Failed to mark notification as read', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ ...userFilter(req), isRead: false }, { isRead: true });
+    res.json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    res.status(400).json({ message: 'Failed to mark notifications as read', error: error.message });
+  }
+};
+
+exports.deleteNotification = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+    const notification = await Notification.findOneAndDelete({ _id: notificationId, userId: req.user._id });
+    if (!notification) return res.status(404).json({ message: 'Notification not found' });
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    res.status(400).json({ message: 'Failed to delete notification', error: error.message });
+  }
+};
@@ -1,8 +1,41 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const User = require('../models/User');
 const Cart = require('../models/Cart'); // Assuming a Cart model exists
+const Address = require('../models/Address');
 const { Parser } = require('json2csv');
+const { recordAudit } = require('../utils/audit');
 const cloudinary = require('../utils/cloudinary.js');
+const { reserveStock, releaseStock } = require('../utils/stock');
+const { releaseOrderCoupon } = require('../utils/coupons');
+const { quoteDelivery } = require('../utils/shipping');
+const { verifyGuestOrderToken, signGuestClaimToken, verifyGuestClaimToken } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mailer');
+const { notifyOrderEvent } = require('./notificationController');
+const BankAccount = require('../models/BankAccount');
+const { bankTransferInstructions } = require('../utils/reconciliation');
+const { renderInvoices } = require('../utils/invoice');
+const { staffRoom } = require('../utils/permissions');
+
+// Most invoices one bulk download may hold
+const MAX_BULK_INVOICES = 200;
+
+const INVOICE_POPULATE = [
+  { path: 'items.product', select: 'name' },
+  { path: 'user', select: 'name email phone' },
+  { path: 'addressId' },
+];
+
+// Stream an in-memory proof file (see middleware/proofUpload) to Cloudinary
+exports.storePaymentProof = file => new Promise((resolve, reject) => {
+  cloudinary.uploader.upload_stream(
+    { folder: 'payment-proofs', resource_type: 'auto' },
+    (error, result) => {
+      if (error) reject(new Error(`Cloudinary upload failed: ${error.message}`));
+      else resolve(result.secure_url);
+    }
+  ).end(file.buffer);
+});
 
 // Upload payment proof
 exports.uploadPaymentProof = async (req, res) => {
@@ -11,17 +44,8 @@ exports.uploadPaymentProof = async (req, res) => {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const result = await new Promise((resolve, reject) => {
-      cloudinary.uploader.upload_stream(
-        { folder: 'payment-proofs', resource_type: 'auto' },
-        (error, result) => {
-          if (error) reject(new Error(`Cloudinary upload failed: ${error.message}`));
-          else resolve(result);
-        }
-      ).end(req.file.buffer);
-    });
-
-    res.status(200).json({ url: result.secure_url });
+    const url = await exports.storePaymentProof(req.file);
+    res.status(200).json({ url });
   } catch (error) {
     console.error('Error uploading payment proof:', error);
     res.status(400).json({ message: error.message });
@@ -41,19 +65,24 @@ exports.createOrder = async (req, res) => {
     const cart = await Cart.findOne({ user: user._id }).populate('items.product');
     if (!cart || cart.items.length === 0) return res.status(400).json({ message: 'Cart is empty' });
 
-    const items = cart.items.map(item => ({
-      product: item.product._id,
-      quantity: item.quantity,
-      price: item.product.price,
-    }));
+    const address = await Address.findOne({ _id: addressId, user: user._id });
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    const lines = cart.orderLines();
+    const items = lines.map(line => ({ ...line, product: line.product._id }));
 
     const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-    const deliveryFee = 5000;
+    const { fee: deliveryFee } = await quoteDelivery({ address, items: lines, subtotal });
     const total = subtotal + deliveryFee;
 
+    const shortages = await reserveStock(items);
+    if (shortages.length) {
+      return res.status(409).json({ message: 'Insufficient stock', items: shortages });
+    }
+
     const order = new Order({
       user: user._id,
-      addressId,
+      addressId: address._id,
       items,
       subtotal,
       deliveryFee,
@@ -65,15 +94,21 @@ exports.createOrder = async (req, res) => {
       paymentStatus: 'pending',
     });
 
-    await order.save();
+    try {
+      await order.place();
+    } catch (error) {
+      await releaseStock(items);
+      throw error;
+    }
     await Cart.deleteOne({ user: user._id });
 
     // Emit events
     const io = req.app.get('io');
-    io.to('adminRoom').emit('newOrder', { _id: order._id, orderNumber: order.orderNumber, user: { name: user.name }, total: order.total, status: order.status, paymentProof: order.paymentProof, createdAt: order.createdAt });
+    io.to(staffRoom('orders:read')).emit('newOrder', { _id: order._id, orderNumber: order.orderNumber, user: { name: user.name }, total: order.total, status: order.status, paymentProof: order.paymentProof, createdAt: order.createdAt });
     io.to(`user_${user._id}`).emit('orderStatusUpdate', order);
+    notifyOrderEvent(req, order, 'created');
 
-    res.status(201).json(order);
+    res.status(201).json({ ...order.toJSON(), bankTransfer: await bankTransferInstructions(order) });
   } catch (error) {
     console.error('Error in createOrder:', error);
     res.status(400).json({ message: error.message });
@@ -84,7 +119,7 @@ exports.createOrder = async (req, res) => {
 exports.getOrders = async (req, res) => {
   try {
     const { status, page = 1, limit = 10, count, period } = req.query;
-    const query = req.user.isAdmin ? {} : { user: req.user._id };
+    const query = req.user.hasPermission('orders:read') ? {} : { user: req.user._id };
 
     if (status) query.status = status;
     if (period) {
@@ -117,7 +152,7 @@ exports.getOrder = async (req, res) => {
   try {
     const order = await Order.findById(req.params.id).populate('items.product user');
     if (!order) return res.status(404).json({ message: 'Order not found' });
-    if (!req.user.isAdmin && order.user._id.toString() !== req.user._id.toString()) {
+    if (!req.user.hasPermission('orders:read') && !order.isOwnedBy(req.user._id)) {
       return res.status(403).json({ message: 'Unauthorized' });
     }
     res.json(order);
@@ -127,22 +162,124 @@ exports.getOrder = async (req, res) => {
   }
 };
 
+// Invoice (or receipt, once paid) as a PDF, for the order owner or staff
+exports.getInvoice = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid order ID' });
+    const order = await Order.findById(req.params.id).populate(INVOICE_POPULATE);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!req.user.hasPermission('orders:read') && !order.isOwnedBy(req.user._id)) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+
+    res.header('Content-Type', 'application/pdf');
+    res.attachment(`invoice-${order.orderNumber}.pdf`);
+    res.send(renderInvoices([order]));
+  } catch (error) {
+    console.error('Error in getInvoice:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Guest invoice via the signed tracking link (?token=), like getGuestOrder
+exports.getGuestInvoice = async (req, res) => {
+  try {
+    if (!verifyGuestOrderToken(req.query.token, req.params.id)) {
+      return res.status(403).json({ message: 'Invalid or expired tracking link' });
+    }
+    const order = await Order.findById(req.params.id).populate(INVOICE_POPULATE);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    res.header('Content-Type', 'application/pdf');
+    res.attachment(`invoice-${order.orderNumber}.pdf`);
+    res.send(renderInvoices([order]));
+  } catch (error) {
+    console.error('Error in getGuestInvoice:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Bulk invoices in one PDF: pick orders by ?ids=a,b or by ?from=&to=&status=&paymentStatus=
+exports.getInvoices = async (req, res) => {
+  try {
+    const { ids, from, to, status, paymentStatus } = req.query;
+    const query = {};
+    if (ids) {
+      const list = String(ids).split(',').map(id => id.trim()).filter(Boolean);
+      if (!list.every(id => mongoose.Types.ObjectId.isValid(id))) return res.status(400).json({ message: 'Invalid order ID' });
+      query._id = { $in: list };
+    } else if (!from && !to) {
+      return res.status(400).json({ message: 'Order IDs or a date range are required' });
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => Number.isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+    if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+
+    const count = await Order.countDocuments(query);
+    if (!count) return res.status(404).json({ message: 'No orders match' });
+    if (count > MAX_BULK_INVOICES) {
+      return res.status(400).json({ message: `${count} orders match; narrow the selection to ${MAX_BULK_INVOICES} or fewer` });
+    }
+
+    const orders = await Order.find(query).populate(INVOICE_POPULATE).sort({ createdAt: 1 });
+    res.header('Content-Type', 'application/pdf');
+    res.attachment(`invoices-${new Date().toISOString().slice(0, 10)}.pdf`);
+    res.send(renderInvoices(orders));
+  } catch (error) {
+    console.error('Error in getInvoices:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
 // Update order status
 exports.updateOrderStatus = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
+    const { status, note } = req.body;
+    if (!status) return res.status(400).json({ message: 'Status is required' });
 
-    const { status } = req.body;
     const order = await Order.findById(req.params.id).populate('user');
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
-    order.status = status;
-    order.tracking.push({ status });
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        allowed: Order.TRANSITIONS[order.status] || [],
+      });
+    }
+
+    const previousStatus = order.status;
+    order.transitionTo(status, { changedBy: req.user._id, note: note?.trim() });
+    // Money already taken goes back through the refunds queue
+    if (status === 'Cancelled' && order.isPaid() && order.paymentStatus !== 'refunded') order.refundPending = true;
     await order.save();
 
+    // Cancelled orders give their units and coupon redemption back
+    if (status === 'Cancelled' && previousStatus !== 'Cancelled') {
+      await releaseStock(order.items);
+      await releaseOrderCoupon(order);
+    }
+
+    await recordAudit(req, {
+      action: 'order.status',
+      targetType: 'Order',
+      target: order,
+      targetLabel: order.orderNumber,
+      before: { status: previousStatus },
+      after: { status: order.status },
+      metadata: note?.trim() ? { note: note.trim() } : undefined,
+    });
+
     const io = req.app.get('io');
-    io.to('adminRoom').emit('orderStatusUpdate', order);
-    io.to(`user_${order.user._id}`).emit('orderStatusUpdate', order);
+    io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+    if (order.user) io.to(`user_${order.user._id}`).emit('orderStatusUpdate', order);
+    notifyOrderEvent(req, order, 'status');
 
     res.json(order);
   } catch (error) {
@@ -151,21 +288,62 @@ exports.updateOrderStatus = async (req, res) => {
   }
 };
 
+// Customer cancels their own order before it ships
+exports.cancelOrder = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    if (!['Placed', 'Packed'].includes(order.status)) {
+      return res.status(400).json({ message: `Orders that are ${order.status} can no longer be cancelled` });
+    }
+
+    order.transitionTo('Cancelled', { changedBy: req.user._id, note: req.body.reason?.trim() });
+    // Money already taken goes back through the refunds queue
+    if (order.isPaid() && order.paymentStatus !== 'refunded') order.refundPending = true;
+    await order.save();
+    await releaseStock(order.items);
+    await releaseOrderCoupon(order);
+
+    const io = req.app.get('io');
+    io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+    io.to(`user_${req.user._id}`).emit('orderStatusUpdate', order);
+    notifyOrderEvent(req, order, 'status');
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error in cancelOrder:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
 // Verify payment proof
 exports.verifyPaymentProof = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
+    if (!req.user.hasPermission('orders:update')) return res.status(403).json({ message: 'You do not have permission to perform this action' });
     const { orderId, paymentStatus } = req.body;
 
     const order = await Order.findById(orderId).populate('user');
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
+    const previousPaymentStatus = order.paymentStatus;
     order.paymentStatus = paymentStatus;
     await order.save();
 
+    await recordAudit(req, {
+      action: 'order.payment_verify',
+      targetType: 'Order',
+      target: order,
+      targetLabel: order.orderNumber,
+      before: { paymentStatus: previousPaymentStatus },
+      after: { paymentStatus: order.paymentStatus },
+      metadata: { paymentProof: order.paymentProof },
+    });
+
     const io = req.app.get('io');
-    io.to('adminRoom').emit('orderStatusUpdate', order);
-    io.to(`user_${order.user._id}`).emit('orderStatusUpdate', order);
+    io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+    if (order.user) io.to(`user_${order.user._id}`).emit('orderStatusUpdate', order);
+    if (previousPaymentStatus !== order.paymentStatus) notifyOrderEvent(req, order, 'payment');
 
     res.json(order);
   } catch (error) {
@@ -177,13 +355,13 @@ exports.verifyPaymentProof = async (req, res) => {
 // Sales metrics
 exports.getSalesMetrics = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
-
-    const orders = await Order.find({}).select('total');
+    const orders = await Order.find({}).select('total amountRefunded paymentStatus');
     const totalSales = orders.reduce((sum, order) => sum + order.total, 0);
     const avgOrderValue = orders.length ? Math.round(totalSales / orders.length) : 0;
+    const totalRefunds = orders.reduce((sum, order) => sum + (order.amountRefunded || 0), 0);
+    const refundedOrders = orders.filter(order => ['partially_refunded', 'refunded'].includes(order.paymentStatus)).length;
 
-    res.json({ totalSales, avgOrderValue });
+    res.json({ totalSales, avgOrderValue, totalRefunds, netSales: totalSales - totalRefunds, refundedOrders });
   } catch (error) {
     console.error('Error in getSalesMetrics:', error);
     res.status(400).json({ message: error.message });
@@ -193,11 +371,10 @@ exports.getSalesMetrics = async (req, res) => {
 // Export orders as CSV
 exports.exportOrders = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
-
-    const { status } = req.query;
+    const { status, paymentStatus } = req.query;
     const query = {};
     if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
 
     const orders = await Order.find(query)
       .populate('user', 'name email')
@@ -210,6 +387,7 @@ exports.exportOrders = async (req, res) => {
       { label: 'Total', value: 'total' },
       { label: 'Status', value: 'status' },
       { label: 'Payment Status', value: 'paymentStatus' },
+      { label: 'Amount Refunded', value: row => row.amountRefunded || 0 },
       { label: 'Payment Proof', value: 'paymentProof' },
       { label: 'Date', value: 'createdAt' },
     ];
@@ -232,7 +410,7 @@ exports.trackOrder = async (req, res) => {
     const { orderNumber } = req.query;
     const order = await Order.findOne({ orderNumber }).populate('items.product user');
     if (!order) return res.status(404).json({ message: 'Order not found' });
-    if (!req.user.isAdmin && order.user._id.toString() !== req.user._id.toString()) {
+    if (!req.user.hasPermission('orders:read') && !order.isOwnedBy(req.user._id)) {
       return res.status(403).json({ message: 'Unauthorized' });
     }
     res.json(order);
@@ -242,15 +420,143 @@ exports.trackOrder = async (req, res) => {
   }
 };
 
-// Get bank details
-exports.getBankDetails = async (req, res) => {
+// After sign-up, mail a link that attaches guest orders placed with the account's email
+exports.offerGuestOrderClaim = async (user, req) => {
+  try {
+    const pending = await Order.countDocuments({ user: null, 'guest.email': user.email.trim().toLowerCase() });
+    if (!pending) return;
+
+    const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+    const claimUrl = `${baseUrl}/track-order.html?claim=${signGuestClaimToken(user)}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Add your earlier orders to your Pulse Parcel account',
+      text: `You placed ${pending} order${pending === 1 ? '' : 's'} as a guest with this email address. Open this link to add ${pending === 1 ? 'it' : 'them'} to your account:\n\n${claimUrl}\n\nThe link expires in 7 days. If you did not create an account, ignore this email.`,
+      html: `<p>You placed ${pending} order${pending === 1 ? '' : 's'} as a guest with this email address.</p><p><a href="${claimUrl}">Add ${pending === 1 ? 'it' : 'them'} to my account</a></p><p>The link expires in 7 days. If you did not create an account, ignore this email.</p>`,
+    });
+  } catch (error) {
+    console.error('Error sending guest order claim link:', error);
+  }
+};
+
+// Attach guest orders through the emailed claim link
+exports.claimGuestOrdersByLink = async (req, res) => {
+  try {
+    const claim = verifyGuestClaimToken(req.body.token);
+    if (!claim) return res.status(400).json({ message: 'Invalid or expired claim link' });
+
+    const user = await User.findById(claim.uid);
+    // A changed account email voids links sent to the old one
+    if (!user || user.email.trim().toLowerCase() !== claim.email) {
+      return res.status(400).json({ message: 'Invalid or expired claim link' });
+    }
+    const result = await Order.claimGuestOrders(user);
+    res.json({ claimed: result.modifiedCount });
+  } catch (error) {
+    console.error('Error in claimGuestOrdersByLink:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Attach one guest order to the signed-in account by presenting its tracking token
+exports.claimGuestOrder = async (req, res) => {
+  try {
+    if (!verifyGuestOrderToken(req.body.token, req.params.id)) {
+      return res.status(403).json({ message: 'Invalid or expired tracking link' });
+    }
+    const result = await Order.updateOne(
+      { _id: req.params.id, user: null },
+      { $set: { user: req.user._id, 'guest.claimedAt': new Date() } }
+    );
+    if (!result.modifiedCount) return res.status(400).json({ message: 'Order already belongs to an account' });
+    res.json({ message: 'Order added to your account' });
+  } catch (error) {
+    console.error('Error in claimGuestOrder:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Guest order view, unlocked by the signed link from the confirmation email
+exports.getGuestOrder = async (req, res) => {
+  try {
+    if (!verifyGuestOrderToken(req.query.token, req.params.id)) {
+      return res.status(403).json({ message: 'Invalid or expired tracking link' });
+    }
+    const order = await Order.findById(req.params.id).populate('items.product', 'name images');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    res.json({
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentMethod: order.paymentMethod,
+      paymentStatus: order.paymentStatus,
+      amountRefunded: order.amountRefunded,
+      items: order.items,
+      subtotal: order.subtotal,
+      discount: order.discount,
+      deliveryFee: order.deliveryFee,
+      total: order.total,
+      guest: order.guest ? { name: order.guest.name, email: order.guest.email } : undefined,
+      claimed: !!order.user,
+      shippingAddress: order.shippingAddress,
+      tracking: order.tracking.map(({ status, date, note }) => ({ status, date, note })),
+      createdAt: order.createdAt,
+    });
+  } catch (error) {
+    console.error('Error in getGuestOrder:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Compare phones on their trailing digits so +234 803... matches 0803...
+const phoneDigits = phone => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Public tracking by order number and delivery phone; reveals progress only
+exports.trackOrderPublic = async (req, res) => {
   try {
+    const orderNumber = String(req.body.orderNumber || '').trim().toUpperCase();
+    const phone = phoneDigits(req.body.phone);
+    if (!orderNumber || phone.length < 7) {
+      return res.status(400).json({ message: 'Order number and phone number are required' });
+    }
+
+    const order = await Order.findOne({ orderNumber }).populate('addressId', 'phone city state');
+    const deliveryPhones = order
+      ? [order.addressId?.phone, order.shippingAddress?.phone, order.guest?.phone].map(phoneDigits).filter(Boolean)
+      : [];
+    // Same answer for an unknown order and a wrong phone, so numbers cannot be probed
+    if (!deliveryPhones.includes(phone)) {
+      return res.status(404).json({ message: 'No order matches that order number and phone' });
+    }
+
+    const destination = order.addressId || order.shippingAddress || {};
     res.json({
-      bankName: 'Pulse Parcel Bank',
-      accountNumber: '1234567890',
-      accountName: 'Pulse Parcel Ltd',
-      swiftCode: 'PPBN123',
+      orderNumber: order.orderNumber,
+      status: order.status,
+      itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+      destination: [destination.city, destination.state].filter(Boolean).join(', '),
+      tracking: order.tracking.map(({ status, date }) => ({ status, date })),
+      createdAt: order.createdAt,
     });
+  } catch (error) {
+    console.error('Error in trackOrderPublic:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Receiving accounts; with ?orderId= also the order's narration code and balance due
+exports.getBankDetails = async (req, res) => {
+  try {
+    const { orderId } = req.query;
+    if (!orderId) {
+      const accounts = await BankAccount.find({ isActive: true }).select('bankName accountName accountNumber').sort({ createdAt: 1 });
+      return res.json({ accounts });
+    }
+    if (!mongoose.Types.ObjectId.isValid(orderId)) return res.status(400).json({ message: 'Invalid order ID' });
+    const order = await Order.findOne({ _id: orderId, user: req.user._id, paymentMethod: 'Bank Transfer' });
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    res.json(await bankTransferInstructions(order));
   } catch (error) {
     console.error('Error fetching bank details:', error);
     res.status(500).json({ message: error.message });
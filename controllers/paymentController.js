@@ -1,5 +1,14 @@
 const PaymentMethod = require('../models/PaymentMethod');
+const Order = require('../models/Order');
 const mongoose = require('mongoose');
+const { isValidSignature, applyCharge, PAYSTACK_METHODS } = require('../utils/paystack');
+const { notifyOrderEvent } = require('./notificationController');
+const Refund = require('../models/Refund');
+const { applyRefund, releaseRefund } = require('../utils/refunds');
+const { staffRoom } = require('../utils/permissions');
+
+// Card details are never accepted here; Paystack tokenizes the card during a payment
+const CARD_ENTRY_MESSAGE = 'Cards are saved securely after a successful Paystack payment. Tick "Save card" at checkout to add one.';
 
 exports.getPayments = async (req, res) => {
   try {
@@ -34,7 +43,7 @@ exports.getPaymentById = async (req, res) => {
 
 exports.addPayment = async (req, res) => {
   try {
-    const { type, cardNumber, expiry, cvv, phone, accountNumber, bankName, isDefault } = req.body;
+    const { type, phone, accountNumber, bankName, isDefault } = req.body;
 
     // Validate inputs
     if (!type || !['card', 'mobile', 'bank'].includes(type)) {
@@ -42,18 +51,7 @@ exports.addPayment = async (req, res) => {
       return res.status(400).json({ message: 'Invalid payment type' });
     }
     if (type === 'card') {
-      if (!cardNumber || !/^\d{16}$/.test(cardNumber)) {
-        console.log('Validation failed: Invalid card number', { cardNumber }); // Debug log
-        return res.status(400).json({ message: 'Valid 16-digit card number is required' });
-      }
-      if (!expiry || !/^(0[1-9]|1[0-2])\/[0-9]{2}$/.test(expiry)) {
-        console.log('Validation failed: Invalid expiry', { expiry }); // Debug log
-        return res.status(400).json({ message: 'Valid expiry date (MM/YY) is required' });
-      }
-      if (!cvv || !/^\d{3,4}$/.test(cvv)) {
-        console.log('Validation failed: Invalid CVV', { cvv }); // Debug log
-        return res.status(400).json({ message: 'Valid CVV (3-4 digits) is required' });
-      }
+      return res.status(400).json({ message: CARD_ENTRY_MESSAGE });
     } else if (type === 'mobile') {
       if (!phone || !/^\+?[1-9]\d{1,14}$/.test(phone)) {
         console.log('Validation failed: Invalid phone', { phone }); // Debug log
@@ -74,13 +72,10 @@ exports.addPayment = async (req, res) => {
       return res.status(400).json({ message: 'Invalid user ID' });
     }
 
-    console.log('Adding payment method for user:', req.user._id, req.body); // Debug log
+    console.log('Adding payment method for user:', req.user._id, type); // Debug log
     const payment = new PaymentMethod({
       user: req.user._id,
       type,
-      cardNumber: cardNumber?.trim(),
-      expiry: expiry?.trim(),
-      cvv: cvv?.trim(),
       phone: phone?.trim(),
       accountNumber: accountNumber?.trim(),
       bankName: bankName?.trim(),
@@ -97,7 +92,7 @@ exports.addPayment = async (req, res) => {
     }
 
     await payment.save();
-    console.log('Payment method saved successfully:', payment); // Debug log
+    console.log('Payment method saved successfully:', payment._id); // Debug log
     res.status(201).json(payment);
   } catch (error) {
     console.error('Error in addPayment:', error); // Debug log
@@ -108,30 +103,39 @@ exports.addPayment = async (req, res) => {
 exports.updatePayment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { type, cardNumber, expiry, cvv, phone, accountNumber, bankName, isDefault } = req.body;
+    const { type, phone, accountNumber, bankName, isDefault } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       console.log('Invalid payment ID:', id); // Debug log
       return res.status(400).json({ message: 'Invalid payment method ID' });
     }
-    if (!type || !['card', 'mobile', 'bank'].includes(type)) {
-      console.log('Validation failed: Invalid type', { type }); // Debug log
-      return res.status(400).json({ message: 'Invalid payment type' });
+
+    console.log('Updating payment ID:', id, type); // Debug log
+    const payment = await PaymentMethod.findOne({ _id: id, user: req.user._id });
+
+    if (!payment) {
+      console.log('Payment not found for ID:', id); // Debug log
+      return res.status(404).json({ message: 'Payment method not found' });
     }
-    if (type === 'card') {
-      if (!cardNumber || !/^\d{16}$/.test(cardNumber)) {
-        console.log('Validation failed: Invalid card number', { cardNumber }); // Debug log
-        return res.status(400).json({ message: 'Valid 16-digit card number is required' });
-      }
-      if (!expiry || !/^(0[1-9]|1[0-2])\/[0-9]{2}$/.test(expiry)) {
-        console.log('Validation failed: Invalid expiry', { expiry }); // Debug log
-        return res.status(400).json({ message: 'Valid expiry date (MM/YY) is required' });
+
+    // A saved card can only be made the default; anything else needs a new payment
+    if (payment.type === 'card' || type === 'card') {
+      if (payment.type !== 'card' || (type && type !== 'card')) {
+        return res.status(400).json({ message: CARD_ENTRY_MESSAGE });
       }
-      if (!cvv || !/^\d{3,4}$/.test(cvv)) {
-        console.log('Validation failed: Invalid CVV', { cvv }); // Debug log
-        return res.status(400).json({ message: 'Valid CVV (3-4 digits) is required' });
+      if (isDefault) {
+        await PaymentMethod.updateMany({ user: req.user._id, isDefault: true }, { isDefault: false });
       }
-    } else if (type === 'mobile') {
+      if (isDefault !== undefined) payment.isDefault = !!isDefault;
+      await payment.save();
+      return res.json(payment);
+    }
+
+    if (!type || !['mobile', 'bank'].includes(type)) {
+      console.log('Validation failed: Invalid type', { type }); // Debug log
+      return res.status(400).json({ message: 'Invalid payment type' });
+    }
+    if (type === 'mobile') {
       if (!phone || !/^\+?[1-9]\d{1,14}$/.test(phone)) {
         console.log('Validation failed: Invalid phone', { phone }); // Debug log
         return res.status(400).json({ message: 'Valid phone number (e.g., +2341234567890) is required' });
@@ -147,18 +151,7 @@ exports.updatePayment = async (req, res) => {
       }
     }
 
-    console.log('Updating payment ID:', id, req.body); // Debug log
-    const payment = await PaymentMethod.findOne({ _id: id, user: req.user._id });
-
-    if (!payment) {
-      console.log('Payment not found for ID:', id); // Debug log
-      return res.status(404).json({ message: 'Payment method not found' });
-    }
-
     payment.type = type;
-    payment.cardNumber = type === 'card' ? cardNumber?.trim() : undefined;
-    payment.expiry = type === 'card' ? expiry?.trim() : undefined;
-    payment.cvv = type === 'card' ? cvv?.trim() : undefined;
     payment.phone = type === 'mobile' ? phone?.trim() : undefined;
     payment.accountNumber = type === 'bank' ? accountNumber?.trim() : undefined;
     payment.bankName = type === 'bank' ? bankName?.trim() : undefined;
@@ -174,7 +167,7 @@ exports.updatePayment = async (req, res) => {
     }
 
     await payment.save();
-    console.log('Payment method updated successfully:', payment); // Debug log
+    console.log('Payment method updated successfully:', payment._id); // Debug log
     res.json(payment);
   } catch (error) {
     console.error('Error in updatePayment:', error); // Debug log
@@ -203,4 +196,90 @@ exports.deletePayment = async (req, res) => {
     console.error('Error in deletePayment:', error); // Debug log
     res.status(400).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
+
+const emitOrderUpdate = (req, order) => {
+  const io = req.app.get('io');
+  io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+  if (order.user) io.to(`user_${order.user}`).emit('orderStatusUpdate', order);
+};
+
+// Paystack webhook: confirms payments even when the customer never returns
+// from the redirect. Events are applied idempotently by payment reference.
+exports.paystackWebhook = async (req, res) => {
+  if (!isValidSignature(req.rawBody, req.header('x-paystack-signature'))) {
+    console.log('Rejected Paystack webhook with invalid signature');
+    return res.status(401).json({ message: 'Invalid signature' });
+  }
+
+  try {
+    const { event, data = {} } = req.body;
+    console.log('Paystack webhook received:', event, data.reference || data.transaction_reference);
+
+    if (event === 'charge.success') {
+      // Only references we issued are honoured; a charge we did not initialize is ignored
+      const order = data.reference
+        ? await Order.findOne({ paymentMethod: { $in: PAYSTACK_METHODS }, paymentReference: data.reference })
+        : null;
+      if (!order) {
+        console.log('No order for Paystack reference:', data.reference);
+        return res.sendStatus(200);
+      }
+
+      const wasCompleted = order.isPaid();
+      const result = await applyCharge(order, data.reference, data);
+      if (!wasCompleted) {
+        emitOrderUpdate(req, order);
+        notifyOrderEvent(req, order, 'payment');
+      }
+      console.log('Paystack charge applied:', order.orderNumber, result);
+    } else if (event === 'refund.processed' || event === 'refund.failed') {
+      const order = await Order.findOne({ paymentMethod: { $in: PAYSTACK_METHODS }, paymentReference: data.transaction_reference });
+      if (!order) {
+        console.log('No order for Paystack refund:', data.transaction_reference);
+        return res.sendStatus(200);
+      }
+
+      // Match the refund we issued; one started from the Paystack dashboard is recorded here
+      const refundedAmount = data.amount / 100;
+      let refund = data.id !== undefined ? await Refund.findOne({ order: order._id, gatewayRefundId: String(data.id) }) : null;
+      if (!refund) {
+        refund = await Refund.findOne({ order: order._id, method: 'paystack', status: 'pending', amount: refundedAmount }).sort({ createdAt: 1 });
+      }
+      if (!refund && event === 'refund.processed') {
+        refund = new Refund({
+          order: order._id,
+          amount: refundedAmount,
+          reason: 'Refunded from the Paystack dashboard',
+          method: 'paystack',
+          gatewayRefundId: data.id !== undefined ? String(data.id) : undefined,
+          transactionReference: data.transaction_reference,
+        });
+      }
+      if (!refund || refund.status !== 'pending') return res.sendStatus(200);
+
+      if (event === 'refund.failed') {
+        // Retried webhooks must not release the reservation twice
+        const failed = await Refund.findOneAndUpdate(
+          { _id: refund._id, status: 'pending' },
+          { $set: { status: 'failed', failureReason: data.status || 'Refund failed at Paystack' } }
+        );
+        if (failed) await releaseRefund(order._id, refund.amount);
+        console.log('Paystack refund failed:', order.orderNumber, refundedAmount);
+        return res.sendStatus(200);
+      }
+
+      // Dashboard refunds skipped our reservation; the money has already gone
+      if (refund.isNew) await Order.updateOne({ _id: order._id }, { $inc: { refundCommitted: refund.amount } });
+      await applyRefund(order, refund);
+      emitOrderUpdate(req, order);
+      notifyOrderEvent(req, order, 'payment');
+      console.log('Paystack refund applied:', order.orderNumber, refundedAmount);
+    }
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Error in paystackWebhook:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
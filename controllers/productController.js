@@ -1,14 +1,44 @@
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const mongoose = require('mongoose');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+const AUDIT_FIELDS = [
+  'name', 'description', 'price', 'originalPrice', 'discount', 'category', 'stock', 'weight', 'specifications',
+  'options', 'variants', 'images', 'isFlashDeal', 'isBestSeller', 'isUnder5k', 'isUnder10k',
+];
+
+// Form fields arrive as JSON strings from multipart requests
+const parseJSON = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Normalise the admin form's variant matrix; SKUs default to NAME-VALUE-VALUE
+const parseVariants = (name, options, variants) => {
+  const axes = parseJSON(options) || [];
+  const rows = parseJSON(variants) || [];
+  const skuBase = name.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 20);
+
+  return {
+    options: axes.map(axis => ({ name: axis.name, values: axis.values })),
+    variants: rows.map(row => ({
+      _id: row._id,
+      sku: row.sku || [skuBase, ...axes.map(axis => row.options?.[axis.name])].join('-').toUpperCase().replace(/\s+/g, '-'),
+      options: row.options,
+      price: row.price !== undefined && row.price !== '' ? parseFloat(row.price) : undefined,
+      stock: parseInt(row.stock) || 0,
+      images: row.images || [],
+    })),
+  };
+};
 
 const createProduct = async (req, res) => {
   try {
     const {
-      name, description, price, originalPrice, discount, category, stock, specifications,
-      isFlashDeal, isBestSeller, isUnder5k, isUnder10k
+      name, description, price, originalPrice, discount, category, stock, weight, specifications,
+      options, variants, isFlashDeal, isBestSeller, isUnder5k, isUnder10k
     } = req.body;
 
+    const variantMatrix = parseVariants(name || '', options, variants);
+
     const images = req.files ? req.files.map(file => ({
       url: file.path,
       public_id: file.filename,
@@ -22,7 +52,10 @@ const createProduct = async (req, res) => {
       discount: discount ? parseFloat(discount) : undefined,
       images,
       category,
-      stock: parseInt(stock),
+      stock: variantMatrix.variants.length ? 0 : parseInt(stock), // Summed from variants on save
+      weight: weight ? parseFloat(weight) : undefined,
+      options: variantMatrix.options,
+      variants: variantMatrix.variants,
       specifications: specifications ? JSON.parse(specifications) : undefined,
       isFlashDeal: isFlashDeal === 'true',
       isBestSeller: isBestSeller === 'true',
@@ -33,6 +66,13 @@ const createProduct = async (req, res) => {
     await product.save();
 
     await Category.findByIdAndUpdate(category, { $inc: { itemCount: 1 } });
+    await recordAudit(req, {
+      action: 'product.create',
+      targetType: 'Product',
+      target: product,
+      targetLabel: product.name,
+      after: snapshot(product, AUDIT_FIELDS),
+    });
 
     const io = req.app.get('io');
     io.to('adminRoom').emit('productUpdate');
@@ -65,7 +105,9 @@ const getProducts = async (req, res) => {
       sortOptions[field] = direction === 'desc' ? -1 : 1;
     }
 
+    // Lists carry rating and reviewCount; full reviews, moderation fields included, stay on the product page
     const products = await Product.find(query)
+      .select('-reviews')
       .populate('category', 'name')
       .sort(sortOptions)
       .skip((page - 1) * limit)
@@ -97,6 +139,14 @@ const getProductById = async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    // Moderated reviews stay out of the storefront; voter and reporter lists stay private
+    product.reviews = product.reviews
+      .filter(review => !review.isHidden)
+      .map(({ helpfulVotes = [], reports, isHidden, hiddenReason, moderatedBy, moderatedAt, ...review }) => ({
+        ...review,
+        helpfulCount: helpfulVotes.length,
+      }));
+
     res.json(product);
   } catch (error) {
     console.error('Error fetching product:', error);
@@ -108,14 +158,15 @@ const updateProduct = async (req, res) => {
   try {
     const { id } = req.params;
     const {
-      name, description, price, originalPrice, discount, category, stock, specifications,
-      isFlashDeal, isBestSeller, isUnder5k, isUnder10k
+      name, description, price, originalPrice, discount, category, stock, weight, specifications,
+      options, variants, isFlashDeal, isBestSeller, isUnder5k, isUnder10k
     } = req.body;
 
     const product = await Product.findById(id);
     if (!product) return res.status(404).json({ error: 'Product not found' });
 
     const oldCategory = product.category;
+    const before = snapshot(product, AUDIT_FIELDS);
 
     product.name = name || product.name;
     product.description = description || product.description;
@@ -124,6 +175,12 @@ const updateProduct = async (req, res) => {
     product.discount = discount ? parseFloat(discount) : product.discount;
     product.category = category || product.category;
     product.stock = stock ? parseInt(stock) : product.stock;
+    product.weight = weight ? parseFloat(weight) : product.weight;
+    if (options !== undefined || variants !== undefined) {
+      const variantMatrix = parseVariants(product.name, options ?? product.options, variants ?? product.variants);
+      product.options = variantMatrix.options;
+      product.variants = variantMatrix.variants;
+    }
     product.specifications = specifications ? JSON.parse(specifications) : product.specifications;
     product.isFlashDeal = isFlashDeal === 'true' ? true : isFlashDeal === 'false' ? false : product.isFlashDeal;
     product.isBestSeller = isBestSeller === 'true' ? true : isBestSeller === 'false' ? false : product.isBestSeller;
@@ -144,6 +201,15 @@ const updateProduct = async (req, res) => {
       await Category.findByIdAndUpdate(category, { $inc: { itemCount: 1 } });
     }
 
+    await recordAudit(req, {
+      action: 'product.update',
+      targetType: 'Product',
+      target: product,
+      targetLabel: product.name,
+      before,
+      after: snapshot(product, AUDIT_FIELDS),
+    });
+
     const io = req.app.get('io');
     io.to('adminRoom').emit('productUpdate');
 
@@ -162,6 +228,13 @@ const deleteProduct = async (req, res) => {
 
     await Product.deleteOne({ _id: id });
     await Category.findByIdAndUpdate(product.category, { $inc: { itemCount: -1 } });
+    await recordAudit(req, {
+      action: 'product.delete',
+      targetType: 'Product',
+      target: product,
+      targetLabel: product.name,
+      before: snapshot(product, AUDIT_FIELDS),
+    });
 
     const io = req.app.get('io');
     io.to('adminRoom').emit('productUpdate');
@@ -173,59 +246,10 @@ const deleteProduct = async (req, res) => {
   }
 };
 
-const addStarRating = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { rating } = req.body;
-
-    if (!mongoose.isValidObjectId(id)) {
-      return res.status(400).json({ error: 'Invalid product ID' });
-    }
-
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
-    }
-
-    const product = await Product.findById(id);
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    const existingReview = product.reviews.find(
-      review => review.user.toString() === req.user._id.toString()
-    );
-    if (existingReview) {
-      return res.status(400).json({ error: 'You have already rated this product' });
-    }
-
-    const review = {
-      user: req.user._id,
-      rating: parseInt(rating),
-      createdAt: new Date(),
-    };
-
-    product.reviews.push(review);
-
-    const totalRating = product.reviews.reduce((sum, r) => sum + r.rating, 0);
-    product.rating = totalRating / product.reviews.length;
-
-    await product.save();
-
-    const io = req.app.get('io');
-    io.to('adminRoom').emit('productUpdate');
-
-    res.status(201).json({ message: 'Rating added', review });
-  } catch (error) {
-    console.error('Error adding rating:', error);
-    res.status(500).json({ error: 'Failed to add rating' });
-  }
-};
-
 module.exports = {
   createProduct,
   getProducts,
   getProductById,
   updateProduct,
   deleteProduct,
-  addStarRating,
 };
\ No newline at end of file
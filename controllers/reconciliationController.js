@@ -0,0 +1,334 @@
+// controllers/reconciliationController.js
+const mongoose = require('mongoose');
+const BankAccount = require('../models/BankAccount');
+const BankTransaction = require('../models/BankTransaction');
+const Order = require('../models/Order');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { parseStatement, fingerprint, applyTransfer, autoMatch } = require('../utils/reconciliation');
+const { notifyOrderEvent } = require('./notificationController');
+const { staffRoom } = require('../utils/permissions');
+
+const ACCOUNT_FIELDS = ['bankName', 'accountName', 'accountNumber', 'isActive'];
+const ORDER_SUMMARY = 'orderNumber total amountReceived paymentStatus status transferCode createdAt';
+
+const pickAccountFields = body => ACCOUNT_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const announcePayment = (req, order) => {
+  const io = req.app.get('io');
+  io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+  if (order.user) io.to(`user_${order.user._id || order.user}`).emit('orderStatusUpdate', order);
+  notifyOrderEvent(req, order, 'payment');
+};
+
+exports.getAccounts = async (req, res) => {
+  try {
+    const accounts = await BankAccount.find().sort({ createdAt: 1 });
+    res.json(accounts);
+  } catch (error) {
+    console.error('Error in getAccounts:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.createAccount = async (req, res) => {
+  try {
+    const { bankName, accountName, accountNumber } = req.body;
+    if (!bankName || !accountName || !accountNumber) {
+      return res.status(400).json({ message: 'Bank name, account name and account number are required' });
+    }
+    const account = await BankAccount.create(pickAccountFields(req.body));
+    await recordAudit(req, {
+      action: 'bank_account.create',
+      targetType: 'BankAccount',
+      target: account,
+      targetLabel: `${account.bankName} ${account.accountNumber}`,
+      after: snapshot(account, ACCOUNT_FIELDS),
+    });
+    res.status(201).json(account);
+  } catch (error) {
+    console.error('Error in createAccount:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.updateAccount = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid account ID' });
+    }
+    const account = await BankAccount.findById(req.params.id);
+    if (!account) return res.status(404).json({ message: 'Bank account not found' });
+
+    const before = snapshot(account, ACCOUNT_FIELDS);
+    account.set(pickAccountFields(req.body));
+    await account.save();
+    await recordAudit(req, {
+      action: 'bank_account.update',
+      targetType: 'BankAccount',
+      target: account,
+      targetLabel: `${account.bankName} ${account.accountNumber}`,
+      before,
+      after: snapshot(account, ACCOUNT_FIELDS),
+    });
+    res.json(account);
+  } catch (error) {
+    console.error('Error in updateAccount:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.deleteAccount = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid account ID' });
+    }
+    const account = await BankAccount.findById(req.params.id);
+    if (!account) return res.status(404).json({ message: 'Bank account not found' });
+    if (await BankTransaction.exists({ account: account._id })) {
+      return res.status(400).json({ message: 'Account has imported statements; deactivate it instead' });
+    }
+    await account.deleteOne();
+    await recordAudit(req, {
+      action: 'bank_account.delete',
+      targetType: 'BankAccount',
+      target: account,
+      targetLabel: `${account.bankName} ${account.accountNumber}`,
+      before: snapshot(account, ACCOUNT_FIELDS),
+    });
+    res.json({ message: 'Bank account deleted' });
+  } catch (error) {
+    console.error('Error in deleteAccount:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Import a statement CSV. Lines seen in an earlier import are skipped by
+// fingerprint; repeats within this file are separate credits. New credits are
+// matched to orders by narration code and amount.
+exports.importStatement = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'Statement file is required' });
+    const { accountId } = req.body;
+    let account = null;
+    if (accountId) {
+      if (!mongoose.Types.ObjectId.isValid(accountId)) return res.status(400).json({ message: 'Invalid account ID' });
+      account = await BankAccount.findById(accountId);
+      if (!account) return res.status(404).json({ message: 'Bank account not found' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseStatement(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message });
+    }
+
+    const summary = { imported: 0, duplicates: 0, skipped: parsed.skipped, matched: 0, partial: 0, overpaid: 0, unmatched: 0 };
+    for (const line of parsed.lines) {
+      const print = fingerprint(account?._id?.toString(), line);
+      if (await BankTransaction.exists({ fingerprint: print })) {
+        summary.duplicates++;
+        continue;
+      }
+
+      let transaction;
+      try {
+        transaction = await BankTransaction.create({ ...line, account: account?._id, fingerprint: print, importedBy: req.user._id });
+      } catch (error) {
+        if (error.code === 11000) {
+          summary.duplicates++;
+          continue;
+        }
+        throw error;
+      }
+      summary.imported++;
+
+      const { order, paid } = await autoMatch(transaction);
+      summary[transaction.status]++;
+      if (paid) announcePayment(req, order);
+    }
+
+    await recordAudit(req, {
+      action: 'payment.statement_import',
+      targetType: 'BankAccount',
+      target: account,
+      targetLabel: account ? `${account.bankName} ${account.accountNumber}` : req.file.originalname,
+      metadata: { file: req.file.originalname, ...summary },
+    });
+    if (summary.imported) req.app.get('io').to(staffRoom('payments:reconcile')).emit('reconciliationUpdate', summary);
+
+    res.status(201).json(summary);
+  } catch (error) {
+    console.error('Error in importStatement:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.getTransactions = async (req, res) => {
+  try {
+    const { status, resolved } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const query = {};
+    if (status) query.status = { $in: String(status).split(',') };
+    if (resolved !== undefined) query.resolved = resolved === 'true';
+
+    const [transactions, total] = await Promise.all([
+      BankTransaction.find(query)
+        .populate('order', ORDER_SUMMARY)
+        .populate('account', 'bankName accountNumber')
+        .sort({ date: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BankTransaction.countDocuments(query),
+    ]);
+    res.json({ transactions, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error in getTransactions:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Unresolved credits: part payments, overpayments and credits we could not
+// place. Unmatched ones carry unpaid orders of the same amount as suggestions.
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const transactions = await BankTransaction.find({ resolved: false })
+      .populate('order', ORDER_SUMMARY)
+      .populate('account', 'bankName accountNumber')
+      .sort({ date: 1 })
+      .limit(200)
+      .lean();
+
+    const queue = await Promise.all(transactions.map(async transaction => {
+      if (transaction.status !== 'unmatched') return transaction;
+      const candidates = await Order.find({
+        paymentMethod: 'Bank Transfer',
+        paymentStatus: 'pending',
+        status: { $ne: 'Cancelled' },
+        total: transaction.amount,
+      }).select(ORDER_SUMMARY).sort({ createdAt: -1 }).limit(5);
+      return { ...transaction, candidates };
+    }));
+    res.json(queue);
+  } catch (error) {
+    console.error('Error in getReviewQueue:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Place an unmatched credit on an order by hand
+exports.assignTransaction = async (req, res) => {
+  try {
+    const { orderId, orderNumber } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid transaction ID' });
+    }
+    const transaction = await BankTransaction.findById(req.params.id);
+    if (!transaction) return res.status(404).json({ message: 'Transaction not found' });
+    if (transaction.status !== 'unmatched') {
+      return res.status(400).json({ message: 'Only unmatched transactions can be assigned' });
+    }
+
+    let order = null;
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) order = await Order.findById(orderId);
+    else if (orderNumber) order = await Order.findOne({ orderNumber: String(orderNumber).trim() });
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (order.paymentMethod !== 'Bank Transfer') {
+      return res.status(400).json({ message: 'Order is not paid by bank transfer' });
+    }
+    if (order.status === 'Cancelled') return res.status(400).json({ message: 'Order has been cancelled' });
+
+    const before = { paymentStatus: order.paymentStatus, amountReceived: order.amountReceived };
+    let paid;
+    try {
+      paid = await applyTransfer(order, transaction, { matchedBy: 'manual', reviewer: req.user._id });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ message: error.message });
+      throw error;
+    }
+    await recordAudit(req, {
+      action: 'payment.transfer_assign',
+      targetType: 'Order',
+      target: order,
+      targetLabel: order.orderNumber,
+      before,
+      after: { paymentStatus: order.paymentStatus, amountReceived: order.amountReceived },
+      metadata: { transaction: transaction._id, amount: transaction.amount, narration: transaction.narration },
+    });
+    if (paid) announcePayment(req, order);
+
+    res.json(await transaction.populate('order', ORDER_SUMMARY));
+  } catch (error) {
+    console.error('Error in assignTransaction:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Close a queue entry: accept a part payment or overpayment as final, or
+// ignore a credit that is not for an order
+exports.resolveTransaction = async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    if (!['accept', 'ignore'].includes(action)) {
+      return res.status(400).json({ message: "Action must be 'accept' or 'ignore'" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid transaction ID' });
+    }
+    const transaction = await BankTransaction.findById(req.params.id);
+    if (!transaction) return res.status(404).json({ message: 'Transaction not found' });
+    if (transaction.resolved) return res.status(400).json({ message: 'Transaction has already been resolved' });
+
+    if (action === 'ignore') {
+      if (transaction.status !== 'unmatched') {
+        return res.status(400).json({ message: 'Only unmatched transactions can be ignored' });
+      }
+      transaction.status = 'ignored';
+    } else if (transaction.status === 'unmatched') {
+      return res.status(400).json({ message: 'Assign the transaction to an order first' });
+    }
+    transaction.resolved = true;
+    transaction.note = note?.trim() || transaction.note;
+    transaction.reviewedBy = req.user._id;
+    transaction.reviewedAt = new Date();
+
+    // Accepting a part payment settles the order for whatever has arrived
+    let order = null;
+    let paid = false;
+    if (action === 'accept') {
+      order = await Order.findById(transaction.order);
+      if (order && !order.isPaid()) {
+        order.paymentStatus = 'completed';
+        order.tracking.push({ status: 'Payment Confirmed', changedBy: req.user._id, note: transaction.note, date: new Date() });
+        await order.save();
+        paid = true;
+      }
+      if (order) {
+        await BankTransaction.updateMany(
+          { order: order._id, _id: { $ne: transaction._id }, status: 'partial', resolved: false },
+          { $set: { resolved: true, reviewedBy: req.user._id, reviewedAt: new Date() } }
+        );
+      }
+    }
+    await transaction.save();
+
+    await recordAudit(req, {
+      action: `payment.transfer_${action}`,
+      targetType: order ? 'Order' : 'BankTransaction',
+      target: order || transaction,
+      targetLabel: order ? order.orderNumber : transaction.reference || transaction.narration,
+      metadata: { transaction: transaction._id, status: transaction.status, amount: transaction.amount, note: transaction.note },
+    });
+    if (paid) announcePayment(req, order);
+
+    res.json(transaction);
+  } catch (error) {
+    console.error('Error in resolveTransaction:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
@@ -0,0 +1,107 @@
+// controllers/refundController.js
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { recordAudit } = require('../utils/audit');
+const { issueRefund, refundableAmount } = require('../utils/refunds');
+const { notifyOrderEvent } = require('./notificationController');
+const { staffRoom } = require('../utils/permissions');
+
+// Refund a paid order in full or in part, by line items or by amount
+exports.createRefund = async (req, res) => {
+  try {
+    const { amount, items, reason, reference, returnRequestId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+    if (returnRequestId && !mongoose.Types.ObjectId.isValid(returnRequestId)) {
+      return res.status(400).json({ message: 'Invalid return request ID' });
+    }
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const before = { paymentStatus: order.paymentStatus, amountRefunded: order.amountRefunded };
+    let refund;
+    try {
+      refund = await issueRefund(order, { amount, items, reason, reference, returnRequest: returnRequestId, createdBy: req.user._id });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ message: error.message });
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'order.refund',
+      targetType: 'Order',
+      target: order,
+      targetLabel: order.orderNumber,
+      before,
+      after: { paymentStatus: order.paymentStatus, amountRefunded: order.amountRefunded },
+      metadata: { refund: refund._id, amount: refund.amount, method: refund.method, status: refund.status, reason: refund.reason },
+    });
+
+    if (refund.status === 'failed') {
+      return res.status(502).json({ message: `Paystack could not process the refund: ${refund.failureReason}`, refund });
+    }
+
+    const io = req.app.get('io');
+    io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+    if (order.user) io.to(`user_${order.user}`).emit('orderStatusUpdate', order);
+    if (refund.status === 'processed') notifyOrderEvent(req, order, 'payment');
+
+    res.status(201).json({ refund, order });
+  } catch (error) {
+    console.error('Error in createRefund:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Refunds on one order, for its owner or staff
+exports.getOrderRefunds = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!req.user.hasPermission('orders:read') && !order.isOwnedBy(req.user._id)) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+
+    const refunds = await Refund.find({ order: order._id }).populate('createdBy', 'name').sort({ createdAt: -1 });
+    res.json({
+      refunds,
+      amountRefunded: order.amountRefunded,
+      refundable: order.isPaid() ? await refundableAmount(order) : 0,
+    });
+  } catch (error) {
+    console.error('Error in getOrderRefunds:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Admin list of refunds across orders
+exports.getRefunds = async (req, res) => {
+  try {
+    const { status, method } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const query = {};
+    if (status) query.status = status;
+    if (method) query.method = method;
+
+    const [refunds, total] = await Promise.all([
+      Refund.find(query)
+        .populate('order', 'orderNumber total paymentMethod paymentStatus')
+        .populate('createdBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Refund.countDocuments(query),
+    ]);
+    res.json({ refunds, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error in getRefunds:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
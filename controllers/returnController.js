@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { releaseStock } = require('../utils/stock');
+const { notifyOrderEvent } = require('./notificationController');
+const { staffRoom } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const cloudinary = require('../utils/cloudinary.js');
+
+// Order lines are keyed by product and variant
+const lineKey = item => `${item.product}:${item.variant || ''}`;
+
+// Quantities per line already covered by return requests in the given states
+const claimedQuantities = async (orderId, statuses = ['pending', 'approved']) => {
+  const requests = await ReturnRequest.find({ order: orderId, status: { $in: statuses } });
+  const claimed = {};
+  requests.forEach(request => request.items.forEach(item => {
+    const key = lineKey(item);
+    claimed[key] = (claimed[key] || 0) + item.quantity;
+  }));
+  return claimed;
+};
+
+// Photos reach Cloudinary in the route, before the request is checked, so a
+// refused request deletes them again
+const discardPhotos = files => Promise.all((files || []).map(file =>
+  cloudinary.uploader.destroy(file.filename)
+    .catch(error => console.error('Error deleting return photo:', file.filename, error.message))));
+
+// Open a return request on a delivered order
+exports.createReturnRequest = async (req, res) => {
+  let created = false;
+  const refuse = async (status, body) => {
+    if (!created) await discardPhotos(req.files);
+    return res.status(status).json(body);
+  };
+  try {
+    const { reason } = req.body;
+    let { items } = req.body;
+    if (typeof items === 'string') items = JSON.parse(items);
+
+    if (!reason || !reason.trim()) {
+      return refuse(400, { message: 'A reason for the return is required' });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return refuse(400, { message: 'Select at least one item to return' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+    if (!order) return refuse(404, { message: 'Order not found' });
+    if (order.status !== 'Delivered') {
+      return refuse(400, { message: 'Only delivered orders can be returned' });
+    }
+
+    const claimed = await claimedQuantities(order._id);
+    const returnItems = [];
+    for (const { product, variant, quantity } of items) {
+      const qty = parseInt(quantity);
+      const line = order.items.find(item => lineKey(item) === lineKey({ product, variant }));
+      if (!line || !qty || qty < 1) {
+        return refuse(400, { message: 'Invalid return item', product });
+      }
+      const remaining = line.quantity - (claimed[lineKey(line)] || 0);
+      if (qty > remaining) {
+        return refuse(400, { message: `Only ${remaining} of this item can still be returned`, product });
+      }
+      returnItems.push({ product: line.product, variant: line.variant, quantity: qty });
+    }
+
+    const photos = req.files?.map(file => ({
+      url: file.path,
+      public_id: file.filename,
+    })) || [];
+
+    const returnRequest = await ReturnRequest.create({
+      order: order._id,
+      user: req.user._id,
+      items: returnItems,
+      reason: reason.trim(),
+      photos,
+    });
+    created = true;
+
+    order.tracking.push({ status: 'Return Requested', changedBy: req.user._id, note: reason.trim() });
+    await order.save();
+
+    const io = req.app.get('io');
+    io.to(staffRoom('returns:manage')).emit('returnRequest', returnRequest);
+    io.to(`user_${req.user._id}`).emit('orderStatusUpdate', order);
+
+    res.status(201).json(returnRequest);
+  } catch (error) {
+    console.error('Error in createReturnRequest:', error);
+    refuse(400, { message: error.message });
+  }
+};
+
+// Admins see the whole queue, customers only their own requests
+exports.getReturnRequests = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const query = req.user.hasPermission('returns:manage') ? {} : { user: req.user._id };
+    if (status) query.status = status;
+
+    const requests = await ReturnRequest.find(query)
+      .populate('order', 'orderNumber status total')
+      .populate('user', 'name email')
+      .populate('items.product', 'name images price')
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .sort({ createdAt: -1 });
+
+    res.json(requests);
+  } catch (error) {
+    console.error('Error in getReturnRequests:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Approve or reject a pending return
+exports.reviewReturnRequest = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved or rejected' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid return request ID' });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) return res.status(404).json({ message: 'Return request not found' });
+    if (returnRequest.status !== 'pending') {
+      return res.status(400).json({ message: `Return request already ${returnRequest.status}` });
+    }
+
+    const order = await Order.findById(returnRequest.order);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    // Claim the request before touching stock, so two reviewers cannot both restock it
+    const reviewed = await ReturnRequest.findOneAndUpdate(
+      { _id: returnRequest._id, status: 'pending' },
+      { $set: { status, adminNote: note?.trim(), reviewedBy: req.user._id, reviewedAt: new Date() } },
+      { new: true }
+    );
+    if (!reviewed) return res.status(409).json({ message: 'Return request was just reviewed by someone else' });
+
+    const before = { returnStatus: 'pending', status: order.status, refundPending: !!order.refundPending };
+
+    if (status === 'approved') {
+      await releaseStock(reviewed.items);
+      order.refundPending = true;
+
+      // Once approved returns, this one included, cover every unit the order closes out as Returned
+      const returned = await claimedQuantities(order._id, ['approved']);
+      const fullyReturned = order.items.every(item => (returned[lineKey(item)] || 0) >= item.quantity);
+      if (fullyReturned && order.canTransitionTo('Returned')) {
+        order.transitionTo('Returned', { changedBy: req.user._id, note: note?.trim() });
+      } else {
+        order.tracking.push({ status: 'Return Approved', changedBy: req.user._id, note: note?.trim() });
+      }
+    } else {
+      order.tracking.push({ status: 'Return Rejected', changedBy: req.user._id, note: note?.trim() });
+    }
+
+    await order.save();
+
+    await recordAudit(req, {
+      action: status === 'approved' ? 'return.approve' : 'return.reject',
+      targetType: 'Order',
+      target: order,
+      targetLabel: order.orderNumber,
+      before,
+      after: { returnStatus: status, status: order.status, refundPending: !!order.refundPending },
+      metadata: {
+        returnRequest: reviewed._id,
+        items: reviewed.items.map(({ product, variant, quantity }) => ({ product, variant, quantity })),
+        note: note?.trim() || undefined,
+      },
+    });
+
+    const io = req.app.get('io');
+    io.to(staffRoom('orders:read')).emit('orderStatusUpdate', order);
+    if (order.user) io.to(`user_${order.user}`).emit('orderStatusUpdate', order);
+    if (order.status === 'Returned') notifyOrderEvent(req, order, 'status');
+
+    res.json({ returnRequest: reviewed, order });
+  } catch (error) {
+    console.error('Error in reviewReturnRequest:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { staffRoom } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+// Public shape of a review: vote and report lists collapse to counts
+const toPublicReview = review => ({
+  _id: review._id,
+  user: review.user,
+  rating: review.rating,
+  comment: review.comment,
+  photos: review.photos,
+  verifiedPurchase: review.verifiedPurchase,
+  helpfulCount: review.helpfulVotes?.length || 0,
+  createdAt: review.createdAt,
+});
+
+const REVIEW_SORTS = {
+  newest: (a, b) => b.createdAt - a.createdAt,
+  oldest: (a, b) => a.createdAt - b.createdAt,
+  helpful: (a, b) => (b.helpfulVotes?.length || 0) - (a.helpfulVotes?.length || 0) || b.createdAt - a.createdAt,
+  'rating-desc': (a, b) => b.rating - a.rating || b.createdAt - a.createdAt,
+  'rating-asc': (a, b) => a.rating - b.rating || b.createdAt - a.createdAt,
+};
+
+const addReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rating, comment } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+
+    if (!rating || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const existingReview = product.reviews.find(
+      review => review.user.toString() === req.user._id.toString()
+    );
+    if (existingReview) {
+      return res.status(400).json({ error: 'You have already rated this product' });
+    }
+
+    // Verified when the customer has a delivered order containing this product
+    const verifiedPurchase = !!(await Order.exists({
+      user: req.user._id,
+      status: 'Delivered',
+      'items.product': product._id,
+    }));
+
+    const photos = req.files ? req.files.map(file => ({
+      url: file.path,
+      public_id: file.filename,
+    })) : [];
+
+    product.reviews.push({
+      user: req.user._id,
+      rating: parseInt(rating),
+      comment: comment?.trim(),
+      photos,
+      verifiedPurchase,
+      createdAt: new Date(),
+    });
+    product.recomputeRating();
+
+    await product.save();
+
+    const io = req.app.get('io');
+    io.to('adminRoom').emit('productUpdate');
+
+    const review = product.reviews[product.reviews.length - 1];
+    res.status(201).json({ message: 'Review added', review: toPublicReview(review) });
+  } catch (error) {
+    console.error('Error adding review:', error);
+    res.status(500).json({ error: 'Failed to add review' });
+  }
+};
+
+const getReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sort = 'newest', rating, verified } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+
+    const product = await Product.findById(id)
+      .select('reviews rating reviewCount')
+      .populate('reviews.user', 'name')
+      .lean();
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const visible = product.reviews.filter(review => !review.isHidden);
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    visible.forEach(review => { distribution[review.rating] += 1; });
+
+    let reviews = visible;
+    if (rating) reviews = reviews.filter(review => review.rating === parseInt(rating));
+    if (verified === 'true') reviews = reviews.filter(review => review.verifiedPurchase);
+    reviews.sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest);
+
+    res.json({
+      reviews: reviews.slice((page - 1) * limit, page * limit).map(toPublicReview),
+      total: reviews.length,
+      page,
+      rating: product.rating,
+      reviewCount: visible.length,
+      distribution,
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+};
+
+// Toggle the current user's helpful vote on a review
+const voteHelpful = async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
+    }
+
+    const product = await Product.findById(id);
+    const review = product?.reviews.id(reviewId);
+    if (!review || review.isHidden) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (review.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot vote on your own review' });
+    }
+
+    const voted = review.helpfulVotes.some(userId => userId.equals(req.user._id));
+    if (voted) review.helpfulVotes.pull(req.user._id);
+    else review.helpfulVotes.push(req.user._id);
+
+    await product.save();
+    res.json({ helpful: !voted, helpfulCount: review.helpfulVotes.length });
+  } catch (error) {
+    console.error('Error voting on review:', error);
+    res.status(500).json({ error: 'Failed to vote on review' });
+  }
+};
+
+// Customers flag abusive reviews into the moderation queue
+const reportReview = async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
+    }
+
+    const product = await Product.findById(id);
+    const review = product?.reviews.id(reviewId);
+    if (!review || review.isHidden) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (review.reports.some(report => report.user.equals(req.user._id))) {
+      return res.status(400).json({ error: 'You have already reported this review' });
+    }
+
+    review.reports.push({ user: req.user._id, reason: req.body.reason?.trim() });
+    await product.save();
+
+    const io = req.app.get('io');
+    io.to(staffRoom('reviews:moderate')).emit('reviewReported', { productId: product._id, reviewId: review._id });
+
+    res.status(201).json({ message: 'Review reported' });
+  } catch (error) {
+    console.error('Error reporting review:', error);
+    res.status(500).json({ error: 'Failed to report review' });
+  }
+};
+
+// Admin queue: reported reviews first, or filter by reported/hidden/visible
+const getModerationQueue = async (req, res) => {
+  try {
+    const { status = 'reported' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const match = {
+      reported: { 'reviews.isHidden': { $ne: true }, 'reviews.reports.0': { $exists: true } },
+      hidden: { 'reviews.isHidden': true },
+      visible: { 'reviews.isHidden': { $ne: true } },
+    }[status] || {};
+
+    const reviews = await Product.aggregate([
+      { $unwind: '$reviews' },
+      { $match: match },
+      { $addFields: { reportCount: { $size: { $ifNull: ['$reviews.reports', []] } } } },
+      { $sort: { reportCount: -1, 'reviews.createdAt': -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $lookup: { from: 'users', localField: 'reviews.user', foreignField: '_id', as: 'author' } },
+      { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: '$reviews._id',
+          product: { _id: '$_id', name: '$name' },
+          user: { _id: '$author._id', name: '$author.name', email: '$author.email' },
+          rating: '$reviews.rating',
+          comment: '$reviews.comment',
+          photos: '$reviews.photos',
+          verifiedPurchase: '$reviews.verifiedPurchase',
+          reports: '$reviews.reports',
+          reportCount: 1,
+          isHidden: '$reviews.isHidden',
+          hiddenReason: '$reviews.hiddenReason',
+          createdAt: '$reviews.createdAt',
+        },
+      },
+    ]);
+
+    res.json(reviews);
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation queue' });
+  }
+};
+
+// Hide or restore a review; the product rating only counts visible reviews
+const moderateReview = async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+    const { hidden, reason } = req.body;
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
+    }
+    if (typeof hidden !== 'boolean') {
+      return res.status(400).json({ error: 'Hidden must be a boolean' });
+    }
+
+    const product = await Product.findById(id);
+    const review = product?.reviews.id(reviewId);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const before = { isHidden: !!review.isHidden, hiddenReason: review.hiddenReason || null, reports: review.reports.length };
+    review.isHidden = hidden;
+    review.hiddenReason = hidden ? reason?.trim() : undefined;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    if (!hidden) review.reports = [];
+    product.recomputeRating();
+
+    await product.save();
+
+    await recordAudit(req, {
+      action: hidden ? 'review.hide' : 'review.restore',
+      targetType: 'Product',
+      target: product,
+      targetLabel: product.name,
+      before,
+      after: { isHidden: hidden, hiddenReason: review.hiddenReason || null, reports: review.reports.length },
+      metadata: { review: review._id, author: review.user, rating: review.rating },
+    });
+
+    const io = req.app.get('io');
+    io.to('adminRoom').emit('productUpdate');
+
+    res.json({ message: hidden ? 'Review hidden' : 'Review restored', rating: product.rating, reviewCount: product.reviewCount });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(500).json({ error: 'Failed to moderate review' });
+  }
+};
+
+module.exports = {
+  addReview,
+  getReviews,
+  voteHelpful,
+  reportReview,
+  getModerationQueue,
+  moderateReview,
+};
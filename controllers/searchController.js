@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+// Upper bounds for the price facet; anything above the last lands in '10000+'
+const PRICE_BUCKETS = [0, 1000, 2500, 5000, 7500, 10000];
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Edit distance between two short strings (insert, delete, substitute, transpose)
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Longer words tolerate more typos
+const allowedTypos = word => (word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2);
+
+// Known search terms that start with (a slightly misspelled) prefix, best first.
+// The first letter is assumed correct so the candidate set stays small.
+const matchTerms = async (prefix, limit = 5) => {
+  const firstLetter = new RegExp(`^${escapeRegex(prefix[0])}`);
+  const candidates = await Product.aggregate([
+    { $match: { searchTerms: firstLetter } },
+    { $unwind: '$searchTerms' },
+    { $match: { searchTerms: firstLetter } },
+    { $group: { _id: '$searchTerms', count: { $sum: 1 } } },
+  ]);
+
+  return candidates
+    .map(({ _id: term, count }) => ({ term, count, distance: editDistance(prefix, term.slice(0, prefix.length)) }))
+    .filter(candidate => candidate.distance <= allowedTypos(prefix))
+    .sort((a, b) => a.distance - b.distance || b.count - a.count || a.term.length - b.term.length)
+    .slice(0, limit);
+};
+
+// @desc    Search products with relevance ranking and facet counts
+// @route   GET /api/public/search?q=&category=&priceRange=&minRating=&sort=&page=&limit=
+// @access  Public
+exports.searchProducts = async (req, res) => {
+  try {
+    const { category, priceRange, minRating, sort, page = 1, limit = 20 } = req.query;
+    let q = (req.query.q || '').trim();
+    let correctedQuery = null;
+
+    // Rerun a query with no hits using the closest known spelling of each word
+    if (q && !(await Product.exists({ $text: { $search: q } }))) {
+      const words = q.toLowerCase().split(/\s+/);
+      const corrected = await Promise.all(words.map(async word => {
+        if (word.length < 2) return word;
+        const [best] = await matchTerms(word, 1);
+        return best && best.term.length <= word.length + allowedTypos(word) ? best.term : word;
+      }));
+      if (corrected.join(' ') !== words.join(' ')) {
+        correctedQuery = corrected.join(' ');
+        q = correctedQuery;
+      }
+    }
+
+    const baseMatch = q ? { $text: { $search: q } } : {};
+
+    const filters = {};
+    if (category && mongoose.Types.ObjectId.isValid(category)) {
+      filters.category = new mongoose.Types.ObjectId(category);
+    }
+    if (priceRange) {
+      const [min, max] = priceRange.split('-').map(Number);
+      filters.price = {};
+      if (!Number.isNaN(min)) filters.price.$gte = min;
+      if (!Number.isNaN(max)) filters.price.$lte = max;
+    }
+    if (minRating) filters.rating = { $gte: Number(minRating) };
+
+    const sortOptions = {
+      'price-asc': { price: 1 },
+      'price-desc': { price: -1 },
+      'rating-desc': { rating: -1 },
+      'newest': { createdAt: -1 },
+    }[sort] || (q ? { score: -1 } : { createdAt: -1 });
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    // Facets reflect the whole text match so customers can widen a filter again
+    const [result] = await Product.aggregate([
+      { $match: baseMatch },
+      ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          results: [
+            { $match: filters },
+            { $sort: sortOptions },
+            { $skip: skip },
+            { $limit: pageSize },
+            { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'category' } },
+            { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+            { $project: { reviews: 0, searchTerms: 0, specificationsText: 0, 'category.icon': 0, 'category.itemCount': 0 } },
+          ],
+          total: [{ $match: filters }, { $count: 'count' }],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+            { $unwind: '$category' },
+            { $project: { _id: 1, name: '$category.name', count: 1 } },
+            { $sort: { count: -1 } },
+          ],
+          price: [
+            { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: '10000+', output: { count: { $sum: 1 } } } },
+          ],
+          rating: [
+            { $group: { _id: { $floor: '$rating' }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+          ],
+        },
+      },
+    ]);
+
+    res.json({
+      query: q,
+      correctedQuery,
+      products: result.results,
+      total: result.total[0]?.count || 0,
+      page: Math.max(parseInt(page) || 1, 1),
+      facets: {
+        categories: result.categories,
+        price: result.price.map(bucket => {
+          if (bucket._id === '10000+') return { range: '10000-', count: bucket.count };
+          const upper = PRICE_BUCKETS[PRICE_BUCKETS.indexOf(bucket._id) + 1];
+          return { range: `${bucket._id}-${upper}`, count: bucket.count };
+        }),
+        rating: result.rating.map(bucket => ({ rating: bucket._id, count: bucket.count })),
+      },
+    });
+  } catch (error) {
+    console.error('Error in searchProducts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Typo-tolerant prefix suggestions for the storefront search bar
+// @route   GET /api/public/search/autocomplete?q=
+// @access  Public
+exports.autocomplete = async (req, res) => {
+  try {
+    const words = (req.query.q || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const prefix = words.pop();
+    if (!prefix || prefix.length < 2) return res.json({ suggestions: [], products: [] });
+
+    const terms = await matchTerms(prefix);
+    if (!terms.length) return res.json({ suggestions: [], products: [] });
+
+    const lead = words.length ? `${words.join(' ')} ` : '';
+    const products = await Product.find({ searchTerms: { $in: terms.map(t => t.term) } })
+      .select('name price images rating')
+      .sort({ isBestSeller: -1, rating: -1 })
+      .limit(8)
+      .lean();
+
+    res.json({
+      suggestions: terms.map(t => `${lead}${t.term}`),
+      products: products.map(p => ({ _id: p._id, name: p.name, price: p.price, image: p.images?.[0]?.url, rating: p.rating })),
+    });
+  } catch (error) {
+    console.error('Error in autocomplete:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const ShippingZone = require('../models/ShippingZone');
+const Address = require('../models/Address');
+const Cart = require('../models/Cart');
+const { quoteDelivery } = require('../utils/shipping');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+const ZONE_FIELDS = ['name', 'states', 'cities', 'baseFee', 'tiers', 'freeShippingThreshold', 'isActive'];
+
+const pickZoneFields = body => ZONE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Quote delivery for the current cart to a saved address or a state/city pair
+exports.getQuote = async (req, res) => {
+  try {
+    const { addressId, state, city } = req.query;
+
+    let address = { state, city };
+    if (addressId) {
+      if (!mongoose.Types.ObjectId.isValid(addressId)) {
+        return res.status(400).json({ message: 'Invalid address ID' });
+      }
+      address = await Address.findOne({ _id: addressId, user: req.user._id });
+      if (!address) return res.status(404).json({ message: 'Address not found' });
+    } else if (!state) {
+      return res.status(400).json({ message: 'Address or state is required' });
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
+    const items = cart ? cart.orderLines() : [];
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+    const quote = await quoteDelivery({ address, items, subtotal });
+    res.json({ ...quote, subtotal });
+  } catch (error) {
+    console.error('Error in getQuote:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.getZones = async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ name: 1 });
+    res.json(zones);
+  } catch (error) {
+    console.error('Error in getZones:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.createZone = async (req, res) => {
+  try {
+    const { name, baseFee } = req.body;
+    if (!name || baseFee === undefined) {
+      return res.status(400).json({ message: 'Name and base fee are required' });
+    }
+    const zone = await ShippingZone.create(pickZoneFields(req.body));
+    await recordAudit(req, {
+      action: 'shipping_zone.create',
+      targetType: 'ShippingZone',
+      target: zone,
+      targetLabel: zone.name,
+      after: snapshot(zone, ZONE_FIELDS),
+    });
+    res.status(201).json(zone);
+  } catch (error) {
+    console.error('Error in createZone:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.updateZone = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid zone ID' });
+    }
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) return res.status(404).json({ message: 'Shipping zone not found' });
+
+    const before = snapshot(zone, ZONE_FIELDS);
+    zone.set(pickZoneFields(req.body));
+    await zone.save();
+    await recordAudit(req, {
+      action: 'shipping_zone.update',
+      targetType: 'ShippingZone',
+      target: zone,
+      targetLabel: zone.name,
+      before,
+      after: snapshot(zone, ZONE_FIELDS),
+    });
+    res.json(zone);
+  } catch (error) {
+    console.error('Error in updateZone:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.deleteZone = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid zone ID' });
+    }
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) return res.status(404).json({ message: 'Shipping zone not found' });
+    await recordAudit(req, {
+      action: 'shipping_zone.delete',
+      targetType: 'ShippingZone',
+      target: zone,
+      targetLabel: zone.name,
+      before: snapshot(zone, ZONE_FIELDS),
+    });
+    res.json({ message: 'Shipping zone deleted' });
+  } catch (error) {
+    console.error('Error in deleteZone:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { PERMISSIONS, ROLES } = require('../utils/permissions');
+const { revokeSessions } = require('../utils/authTokens');
+const { recordAudit } = require('../utils/audit');
+
+// Owners can't remove the last owner (including themselves) and lock everyone out
+const isLastOwner = async (user) => {
+  if (!user.isAdmin || (user.role && user.role !== 'owner')) return false;
+  const owners = await User.countDocuments({ isAdmin: true, $or: [{ role: 'owner' }, { role: { $exists: false } }] });
+  return owners <= 1;
+};
+
+exports.getRoles = async (req, res) => {
+  res.json({
+    roles: Object.entries(ROLES).map(([name, permissions]) => ({ name, permissions })),
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+  });
+};
+
+exports.getStaff = async (req, res) => {
+  try {
+    const staff = await User.find({ isAdmin: true })
+      .select('name email phone role isSuspended is2FAEnabled createdAt')
+      .sort({ createdAt: 1 });
+    res.json(staff.map(member => ({ ...member.toJSON(), role: member.role || 'owner' })));
+  } catch (error) {
+    console.error('Error in getStaff:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Promote an existing account by email, or create a new staff account
+exports.addStaff = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+    if (!email || !role) return res.status(400).json({ message: 'Email and role are required' });
+    if (!ROLES[role]) return res.status(400).json({ message: 'Invalid role' });
+
+    let user = await User.findOne({ email: String(email).trim() });
+    const promoted = !!user;
+    if (user?.isAdmin) return res.status(400).json({ message: 'This user is already a staff member' });
+
+    if (!user) {
+      if (!name || !password) {
+        return res.status(400).json({ message: 'Name and password are required for a new account' });
+      }
+      if (password.length < 6) {
+        return res.status(400).json({ message: 'Password must be at least 6 characters' });
+      }
+      user = new User({ name, email, password });
+    }
+    user.isAdmin = true;
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'staff.add',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: { isAdmin: false, role: null },
+      after: { isAdmin: true, role },
+      metadata: { promotedExistingAccount: promoted },
+    });
+
+    res.status(201).json(user);
+  } catch (error) {
+    console.error('Error in addStaff:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.updateStaffRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid staff ID' });
+    }
+    if (!ROLES[role]) return res.status(400).json({ message: 'Invalid role' });
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, isAdmin: true });
+    if (!user) return res.status(404).json({ message: 'Staff member not found' });
+    if (role !== 'owner' && await isLastOwner(user)) {
+      return res.status(400).json({ message: 'At least one owner is required' });
+    }
+
+    const previousRole = user.role || 'owner';
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'staff.role',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: { role: previousRole },
+      after: { role },
+    });
+
+    // Socket permission rooms are joined at sign-in; make them sign in again under the new role
+    if (previousRole !== role) await revokeSessions({ user: user._id }, 'staff role changed', req.app.get('io'));
+    res.json(user);
+  } catch (error) {
+    console.error('Error in updateStaffRole:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Turn a staff account back into a regular customer account
+exports.removeStaff = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid staff ID' });
+    }
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot remove yourself' });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, isAdmin: true });
+    if (!user) return res.status(404).json({ message: 'Staff member not found' });
+    if (await isLastOwner(user)) {
+      return res.status(400).json({ message: 'At least one owner is required' });
+    }
+
+    const previousRole = user.role || 'owner';
+    user.isAdmin = false;
+    user.role = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'staff.remove',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: { isAdmin: true, role: previousRole },
+      after: { isAdmin: false, role: null },
+    });
+
+    // Drop sockets still sitting in the admin room
+    await revokeSessions({ user: user._id }, 'staff access removed', req.app.get('io'));
+    res.json({ message: 'Staff access removed' });
+  } catch (error) {
+    console.error('Error in removeStaff:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
@@ -1,15 +1,19 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { loginResponse, createSession, revokeSessions } = require('../utils/authTokens');
+const { offerGuestOrderClaim } = require('./orderController');
+const { generateSecret, verifyToken, provisioningUri } = require('../utils/totp');
 
 exports.register = async (req, res) => {
   try {
-    const { name, email, password, address, isAdmin } = req.body; // Allow isAdmin for testing
-    const user = new User({ name, email, password, address, isAdmin: isAdmin || false });
+    // Staff accounts are created through /api/staff, never at sign-up
+    const { name, email, password, address } = req.body;
+    const user = new User({ name, email, password, address });
     await user.save();
+    await offerGuestOrderClaim(user, req);
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
-    res.status(201).json({ user, token });
+    const { token, refreshToken } = await createSession(user, req);
+    res.status(201).json({ user, token, refreshToken });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -22,9 +26,10 @@ exports.login = async (req, res) => {
     if (!user || !(await user.comparePassword(password))) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
+    if (user.isSuspended) return res.status(403).json({ message: 'Your account has been suspended' });
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
-    res.json({ user, token });
+    // With 2FA on this is a challenge token; finish at POST /api/auth/2fa/verify
+    res.json(await loginResponse(user, req));
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -76,35 +81,124 @@ exports.changePassword = async (req, res) => {
 
     user.password = newPassword;
     await user.save();
-    res.json({ message: 'Password updated successfully' });
+
+    // Every other device is signed out; this one gets a fresh session
+    await revokeSessions({ user: user._id }, 'password changed', req.app.get('io'));
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({ message: 'Password updated successfully', token, refreshToken });
   } catch (error) {
     console.error('Error in changePassword:', error);
     res.status(400).json({ message: error.message });
   }
 };
 
-exports.toggle2FA = async (req, res) => {
+// Start TOTP enrolment: the secret stays pending until a code confirms it
+exports.setup2FA = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.is2FAEnabled && user.twoFactorSecret) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    user.twoFactorPendingSecret = generateSecret();
+    await user.save();
+
+    res.json({
+      secret: user.twoFactorPendingSecret,
+      otpauthUrl: provisioningUri(user.twoFactorPendingSecret, user.email),
+    });
+  } catch (error) {
+    console.error('Error in setup2FA:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Finish enrolment with a code from the authenticator app. Recovery codes are
+// only ever shown here (and on regeneration).
+exports.confirm2FA = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyToken(user.twoFactorPendingSecret, code);
+    if (step === null) return res.status(400).json({ message: 'Invalid verification code' });
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    user.is2FAEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('Error in confirm2FA:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Turning 2FA off needs a current code (or a recovery code)
+exports.disable2FA = async (req, res) => {
   try {
-    const { enable } = req.body;
-    if (typeof enable !== 'boolean') {
-      return res.status(400).json({ message: 'Enable must be a boolean' });
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.is2FAEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (user.twoFactorSecret && !user.verifySecondFactor(req.body.code)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
     }
 
+    user.is2FAEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.recoveryCodes = [];
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error in disable2FA:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
     const user = await User.findById(req.user._id);
     if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.is2FAEnabled || !user.twoFactorSecret) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!user.verifySecondFactor(req.body.code)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
 
-    user.is2FAEnabled = enable;
+    const recoveryCodes = user.generateRecoveryCodes();
     await user.save();
-    res.json({ message: `Two-factor authentication ${enable ? 'enabled' : 'disabled'}` });
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
   } catch (error) {
-    console.error('Error in toggle2FA:', error);
+    console.error('Error in regenerateRecoveryCodes:', error);
     res.status(400).json({ message: error.message });
   }
 };
 
+// Kept for older clients: enabling starts enrolment, disabling needs a code
+exports.toggle2FA = async (req, res) => {
+  const { enable } = req.body;
+  if (typeof enable !== 'boolean') {
+    return res.status(400).json({ message: 'Enable must be a boolean' });
+  }
+  return enable ? exports.setup2FA(req, res) : exports.disable2FA(req, res);
+};
+
 exports.getAllUsers = async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Admin access required' });
     const users = await User.find().select('name email createdAt');
     res.json(users);
   } catch (error) {
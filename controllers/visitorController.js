@@ -5,11 +5,6 @@ const Visitor = require('../models/Visitor');
 // @route   GET /api/visitors?period=<7d|30d|90d>
 // @access  Private (Admin only)
 const getVisitors = asyncHandler(async (req, res) => {
-  if (!req.user.isAdmin) {
-    res.status(403);
-    throw new Error('Admin access required');
-  }
-
   const { period } = req.query;
   const days = period === '7d' ? 7 : period === '30d' ? 30 : 90;
   const startDate = new Date();
@@ -30,11 +25,6 @@ const getVisitors = asyncHandler(async (req, res) => {
 // @route   GET /api/visitors/activity?page=<page>&limit=<limit>&count=<true>
 // @access  Private (Admin only)
 const getVisitorActivity = asyncHandler(async (req, res) => {
-  if (!req.user.isAdmin) {
-    res.status(403);
-    throw new Error('Admin access required');
-  }
-
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 5;
   const count = req.query.count === 'true';
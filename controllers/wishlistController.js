@@ -1,5 +1,6 @@
 const Wishlist = require('../models/Wishlist');
 const Cart = require('../models/Cart');
+const Product = require('../models/Product');
 const mongoose = require('mongoose');
 
 exports.getWishlist = async (req, res) => {
@@ -54,12 +55,19 @@ exports.addToCartFromWishlist = async (req, res) => {
       return res.status(400).json({ message: 'Invalid product ID' });
     }
 
+    // Products with variants need a size/colour choice on the product page
+    const product = await Product.findById(productId).select('variants');
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (product.variants.length) {
+      return res.status(400).json({ message: 'Please select a variant', redirect: `/product.html?id=${productId}` });
+    }
+
     let cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
       cart = new Cart({ user: req.user._id, items: [] });
     }
 
-    const existingItem = cart.items.find(item => item.product.toString() === productId);
+    const existingItem = cart.items.find(item => item.product.toString() === productId && !item.variant);
     if (existingItem) {
       existingItem.quantity += 1;
     } else {
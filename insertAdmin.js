@@ -11,6 +11,7 @@ const userSchema = new mongoose.Schema({
   email: String,
   password: String,
   isAdmin: { type: Boolean, default: false }, // 👈 add admin flag
+  role: String, // 👈 staff role, see utils/permissions.js
 });
 
 // Force collection name = "users"
@@ -24,6 +25,7 @@ async function insertAdmin() {
       email: "admin@example.com",
       password: hashedPassword,
       isAdmin: true, // 👈 mark this user as admin
+      role: "owner", // 👈 full permissions, can add other staff
     });
 
     await admin.save();
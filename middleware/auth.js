@@ -1,6 +1,5 @@
 // middleware/auth.js
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { authenticateAccessToken } = require('../utils/authTokens');
 const VisitorLocation = require('../models/VisitorLocation');
 const axios = require('axios');
 
@@ -13,20 +12,17 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-    if (!user) {
-      await logVisitor(req, null);
-      return res.status(401).json({ message: 'Invalid token' });
-    }
+    const { user, sessionId } = await authenticateAccessToken(token);
 
     // Log authenticated visitor with referral and location
     await logVisitor(req, user);
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
     await logVisitor(req, null);
-    res.status(401).json({ message: 'Authentication failed' });
+    // Revoked sessions and suspensions carry their own status and message
+    res.status(error.status || 401).json({ message: error.status ? error.message : 'Authentication failed' });
   }
 };
 
@@ -0,0 +1,17 @@
+// middleware/proofUpload.js
+// Payment proofs stay in memory and are streamed to Cloudinary by the handler
+const multer = require('multer');
+
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only images and PDFs are allowed.'));
+    }
+  },
+});
+
+module.exports = proofUpload;
@@ -0,0 +1,32 @@
+// middleware/rateLimit.js
+// Fixed-window, in-memory rate limiter. Each limiter keeps its own counters,
+// so per-IP and per-email limits can be stacked on the same route.
+const rateLimit = ({ windowMs, max, key = req => req.ip, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    let entry = hits.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(id, entry);
+    }
+    entry.count += 1;
+
+    // Drop expired windows now and then so the map does not grow forever
+    if (hits.size > 1000) {
+      hits.forEach((value, k) => { if (value.resetAt <= now) hits.delete(k); });
+    }
+
+    if (entry.count > max) {
+      res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+      return res.status(429).json({ message });
+    }
+    next();
+  };
+};
+
+module.exports = rateLimit;
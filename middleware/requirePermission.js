@@ -0,0 +1,10 @@
+// middleware/requirePermission.js
+// Mount after `auth`. Passes only when the user's role grants every listed permission.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.every(permission => req.user.hasPermission(permission))) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,19 @@
+// middleware/statementUpload.js
+// Bank statement CSVs are parsed straight from memory
+const multer = require('multer');
+
+const CSV_TYPES = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (CSV_TYPES.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV statements are allowed.'));
+    }
+  },
+});
+
+module.exports = statementUpload;
@@ -0,0 +1,44 @@
+// Purges raw card data (cardNumber, expiry, cvv) from saved payment methods.
+// Cards saved before tokenization cannot be charged, so they are deleted;
+// customers add them again by ticking "Save card" on their next Paystack payment.
+//
+//   node migrateCardData.js            apply
+//   node migrateCardData.js --dry-run  report only
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const dryRun = process.argv.includes("--dry-run");
+const RAW_FIELDS = ["cardNumber", "expiry", "cvv"];
+
+async function migrateCardData() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // Raw collection access: the model no longer knows these fields
+    const paymentMethods = mongoose.connection.collection("paymentmethods");
+    const hasRawData = { $or: RAW_FIELDS.map(field => ({ [field]: { $exists: true } })) };
+    const untokenized = { type: "card", authorizationCode: { $exists: false } };
+
+    const rawCount = await paymentMethods.countDocuments(hasRawData);
+    const untokenizedCount = await paymentMethods.countDocuments(untokenized);
+    console.log(`${rawCount} payment method(s) hold raw card data`);
+    console.log(`${untokenizedCount} card(s) have no Paystack authorization and will be removed`);
+
+    if (!dryRun) {
+      const removed = await paymentMethods.deleteMany(untokenized);
+      const unset = Object.fromEntries(RAW_FIELDS.map(field => [field, ""]));
+      const purged = await paymentMethods.updateMany(hasRawData, { $unset: unset });
+      console.log(`Removed ${removed.deletedCount} card(s), purged raw fields from ${purged.modifiedCount} more`);
+    }
+
+    console.log(dryRun ? "✅ Dry run complete, nothing was changed" : "✅ Raw card data purged");
+  } catch (err) {
+    console.error("❌ Error purging card data:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateCardData();
@@ -0,0 +1,61 @@
+// Seeds the order number counters from the numbers already issued and gives
+// any order without a number the next one in sequence. Existing numbers are
+// never changed, and running it again is harmless.
+//
+//   node migrateOrderNumbers.js            apply
+//   node migrateOrderNumbers.js --dry-run  report only
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Order = require("./models/Order");
+const Counter = require("./models/Counter");
+const { describeOrderNumber, highestIssued, seedCounter, nextOrderNumber } = require("./utils/orderNumber");
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function migrateOrderNumbers() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // One counter per period in ORDER_NUMBER_FORMAT ({YYYY}/{MM}), plus the current one
+    const dates = await Order.find().select("createdAt").lean();
+    const counters = new Map();
+    [...dates.map(order => order.createdAt || new Date()), new Date()].forEach(date => {
+      const { key, pattern } = describeOrderNumber(date);
+      counters.set(key, pattern);
+    });
+
+    for (const [key, pattern] of counters) {
+      const issued = await highestIssued(pattern);
+      const current = await Counter.findById(key).lean();
+      console.log(`${key}: highest issued ${issued}, counter at ${current ? current.seq : "none"}`);
+      if (!dryRun) await seedCounter(key, issued);
+    }
+
+    const unnumbered = await Order.find({ $or: [{ orderNumber: { $exists: false } }, { orderNumber: null }, { orderNumber: "" }] })
+      .select("_id createdAt")
+      .sort({ createdAt: 1 })
+      .lean();
+    console.log(`${unnumbered.length} order(s) without a number`);
+
+    for (const order of unnumbered) {
+      if (dryRun) continue;
+      const orderNumber = await nextOrderNumber(order.createdAt || new Date());
+      // Skip orders that picked up a number while this was running
+      await Order.updateOne(
+        { _id: order._id, $or: [{ orderNumber: { $exists: false } }, { orderNumber: null }, { orderNumber: "" }] },
+        { $set: { orderNumber } }
+      );
+      console.log(`  ${order._id} -> ${orderNumber}`);
+    }
+
+    console.log(dryRun ? "✅ Dry run complete, nothing was changed" : "✅ Order numbers migrated");
+  } catch (err) {
+    console.error("❌ Error migrating order numbers:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateOrderNumbers();
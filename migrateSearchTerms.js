@@ -0,0 +1,46 @@
+// Fills in the search fields (searchTerms, specificationsText) on products
+// saved before search indexing existed. Fields are written directly, so a
+// product that fails validation elsewhere is still indexed; any that cannot
+// be written are listed and skipped. Running it again is harmless.
+//
+//   node migrateSearchTerms.js            apply
+//   node migrateSearchTerms.js --dry-run  report only
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Product = require("./models/Product");
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function migrateSearchTerms() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+
+    const unindexed = await Product.find({ searchTerms: { $exists: false } });
+    console.log(`${unindexed.length} product(s) without search fields`);
+
+    let indexed = 0;
+    for (const product of unindexed) {
+      if (dryRun) continue;
+      try {
+        product.refreshSearchFields();
+        await Product.updateOne(
+          { _id: product._id },
+          { $set: { searchTerms: product.searchTerms, specificationsText: product.specificationsText } }
+        );
+        indexed++;
+      } catch (err) {
+        console.error(`  ${product._id} (${product.name}) skipped:`, err.message);
+      }
+    }
+
+    console.log(dryRun ? "✅ Dry run complete, nothing was changed" : `✅ Indexed ${indexed} product(s) for search`);
+  } catch (err) {
+    console.error("❌ Error migrating search fields:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateSearchTerms();
@@ -0,0 +1,37 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only record of a privileged action. Actor details are copied so the
+// entry still reads correctly after the staff account changes or is removed.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  actorName: { type: String },
+  actorEmail: { type: String },
+  actorRole: { type: String },
+  action: { type: String, required: true }, // e.g. 'order.status', 'customer.suspend'
+  targetType: { type: String, required: true }, // 'Order', 'User', 'Product', 'Category', 'Coupon', 'ShippingZone', 'Broadcast'
+  targetId: { type: mongoose.Schema.Types.ObjectId },
+  targetLabel: { type: String }, // Order number, email, product name...
+  changes: [{
+    _id: false,
+    field: { type: String },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  }],
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries are never edited or removed through the app
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function () {
+  throw new Error('Audit log entries are immutable');
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Receiving accounts shown to customers who pay by bank transfer
+const bankAccountSchema = new mongoose.Schema({
+  bankName: { type: String, required: true, trim: true },
+  accountName: { type: String, required: true, trim: true },
+  accountNumber: { type: String, required: true, trim: true },
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+bankAccountSchema.index({ bankName: 1, accountNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('BankAccount', bankAccountSchema);
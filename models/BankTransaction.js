@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['matched', 'partial', 'overpaid', 'unmatched', 'ignored'];
+
+// A credit line imported from a bank statement. Anything that did not settle
+// an order exactly stays unresolved and shows up in the review queue.
+const bankTransactionSchema = new mongoose.Schema({
+  account: { type: mongoose.Schema.Types.ObjectId, ref: 'BankAccount' },
+  date: { type: Date, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  narration: { type: String, trim: true },
+  reference: { type: String, trim: true },
+  balance: { type: Number }, // Running balance after the line, when the statement has one
+  // Hash of the statement line so re-importing a statement adds nothing
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: STATUSES, default: 'unmatched' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  matchedBy: { type: String, enum: ['auto', 'manual'] },
+  resolved: { type: Boolean, default: false },
+  note: { type: String, trim: true },
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+bankTransactionSchema.statics.STATUSES = STATUSES;
+
+bankTransactionSchema.index({ fingerprint: 1 }, { unique: true });
+bankTransactionSchema.index({ resolved: 1, date: -1 });
+bankTransactionSchema.index({ order: 1 });
+
+module.exports = mongoose.model('BankTransaction', bankTransactionSchema);
@@ -13,6 +13,9 @@ const cartSchema = new mongoose.Schema({
         ref: 'Product',
         required: true,
       },
+      variant: {
+        type: mongoose.Schema.Types.ObjectId, // _id of an entry in product.variants
+      },
       quantity: {
         type: Number,
         required: true,
@@ -31,4 +34,19 @@ cartSchema.pre('save', function (next) {
   next();
 });
 
+// Priced lines for checkout; expects items.product to be populated
+cartSchema.methods.orderLines = function () {
+  return this.items.map(item => {
+    const variant = item.variant ? item.product.variants.id(item.variant) : null;
+    return {
+      product: item.product,
+      variant: item.variant,
+      sku: variant ? variant.sku : undefined,
+      variantOptions: variant ? variant.options : undefined,
+      quantity: item.quantity,
+      price: item.product.priceFor(item.variant),
+    };
+  });
+};
+
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
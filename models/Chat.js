@@ -7,8 +7,13 @@ const chatSchema = new mongoose.Schema({
     content: { type: String },
     image: { url: String, public_id: String },
     createdAt: { type: Date, default: Date.now },
+    readAt: { type: Date },
   }],
+  lastMessageAt: { type: Date, default: Date.now },
   createdAt: { type: Date, default: Date.now },
 });
 
+chatSchema.index({ user: 1 });
+chatSchema.index({ lastMessageAt: -1 });
+
 module.exports = mongoose.model('Chat', chatSchema);
\ No newline at end of file
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically with $inc, e.g. "order:PP-2026-"
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, trim: true },
+  type: { type: String, enum: ['percentage', 'fixed'], required: true },
+  value: { type: Number, required: true, min: 0 },
+  maxDiscount: { type: Number, min: 0 }, // Cap for percentage coupons
+  minSubtotal: { type: Number, default: 0, min: 0 },
+  freeDelivery: { type: Boolean, default: false },
+  // Empty lists mean the coupon applies to the whole cart
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  startsAt: { type: Date },
+  expiresAt: { type: Date },
+  usageLimit: { type: Number, min: 1 }, // Total redemptions across all users
+  perUserLimit: { type: Number, default: 1, min: 1 },
+  usedCount: { type: Number, default: 0, min: 0 },
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+couponSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    return next(new Error('Percentage discount cannot exceed 100%'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
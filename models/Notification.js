@@ -1,13 +1,22 @@
 // models/Notification.js (updated)
 const mongoose = require('mongoose');
 
+const NOTIFICATION_TYPES = ['order', 'payment', 'account', 'advertisement', 'broadcast'];
+
 const notificationSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   message: { type: String, required: true },
-  type: { type: String, enum: ['order', 'advertisement', 'broadcast'], default: 'order' },
+  type: { type: String, enum: NOTIFICATION_TYPES, default: 'order' },
   imageUrl: { type: String },
+  link: { type: String }, // Page the notification opens, e.g. /orders.html?order=<id>
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
   isRead: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
 });
 
-module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
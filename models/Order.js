@@ -1,19 +1,55 @@
 const mongoose = require('mongoose');
+const { nextOrderNumber } = require('../utils/orderNumber');
+const { newTransferCode } = require('../utils/transferCode');
+
+// Allowed status moves; Cancelled and Returned are terminal
+const ORDER_TRANSITIONS = {
+  Placed: ['Packed', 'Cancelled'],
+  Packed: ['In Transit', 'Cancelled'],
+  'In Transit': ['Delivered', 'Returned'],
+  Delivered: ['Returned'],
+  Cancelled: [],
+  Returned: [],
+};
 
 const orderSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  addressId: { type: mongoose.Schema.Types.ObjectId, ref: 'Address', required: true },
+  // Guest orders have no user until the guest signs up with the same email
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: function () { return !this.guest?.email; } },
+  addressId: { type: mongoose.Schema.Types.ObjectId, ref: 'Address', required: function () { return !this.shippingAddress?.street; } },
+  guest: {
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    claimedAt: { type: Date }, // When the order was attached to an account
+  },
+  shippingAddress: { // Inline delivery address for guest orders
+    street: { type: String },
+    city: { type: String },
+    state: { type: String },
+    country: { type: String },
+    postalCode: { type: String },
+    phone: { type: String },
+  },
   items: [{
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variant: { type: mongoose.Schema.Types.ObjectId },
+    sku: { type: String },
+    variantOptions: { type: Map, of: String },
     quantity: { type: Number, required: true, min: 1 },
     price: { type: Number, required: true, min: 0 },
   }],
   subtotal: { type: Number, required: true, min: 0 },
-  deliveryFee: { type: Number, default: 5000, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  coupon: {
+    code: { type: String },
+    discount: { type: Number, min: 0 },
+    freeDelivery: { type: Boolean }
+  },
+  deliveryFee: { type: Number, default: 0, min: 0 },
   total: { type: Number, required: true, min: 0 },
   status: { 
     type: String, 
-    enum: ['Placed', 'Packed', 'In Transit', 'Delivered', 'Cancelled'], 
+    enum: Object.keys(ORDER_TRANSITIONS), 
     default: 'Placed' 
   },
   paymentMethod: { 
@@ -23,48 +59,112 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: { 
     type: String, 
-    enum: ['pending', 'completed', 'failed'], 
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'], 
     default: 'pending' 
   },
-  paymentReference: { type: String },
+  paymentReference: { type: String }, // Issued by us before the customer pays; see utils/paystack
+  paystackCheckout: {
+    authorizationUrl: { type: String },
+    accessCode: { type: String },
+    amount: { type: Number }, // Order total the checkout was opened for
+    initializedAt: { type: Date }
+  },
+  refundPending: { type: Boolean, default: false },
+  amountRefunded: { type: Number, default: 0, min: 0 }, // Sum of processed refunds
+  refundCommitted: { type: Number, default: 0, min: 0 }, // Pending plus processed; reserved before a refund is created
   paymentProof: { type: String },
+  // Bank transfers: the narration code to quote and what statements show as received so far
+  transferCode: { type: String, index: { unique: true, sparse: true } },
+  amountReceived: { type: Number, default: 0, min: 0 },
+  saveCard: { type: Boolean, default: false }, // Customer opted to keep the Paystack card for next time
   orderNotes: { type: String, trim: true },
   tracking: [{
     status: { type: String, required: true },
+    previousStatus: { type: String },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String, trim: true },
     date: { type: Date, default: Date.now }
   }],
   createdAt: { type: Date, default: Date.now },
   orderNumber: { type: String, unique: true } // ← keep this only
 });
 
-// Ensure unique order number with retry logic
+// Numbers come from an atomic counter (utils/orderNumber); a failed save leaves a gap, never a duplicate
 orderSchema.pre('save', async function(next) {
   if (!this.orderNumber) {
-    let isUnique = false;
-    let attempts = 0;
-    const maxAttempts = 3;
-
-    while (!isUnique && attempts < maxAttempts) {
-      try {
-        const count = await mongoose.model('Order').countDocuments();
-        this.orderNumber = `ORD-${(count + 1).toString().padStart(6, '0')}`;
-        const existingOrder = await mongoose.model('Order').findOne({ orderNumber: this.orderNumber });
-        if (!existingOrder) {
-          isUnique = true;
-        }
-      } catch (error) {
-        attempts++;
-        if (attempts >= maxAttempts) {
-          return next(new Error('Failed to generate unique order number after multiple attempts'));
-        }
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+    try {
+      this.orderNumber = await nextOrderNumber(this.createdAt || new Date());
+    } catch (error) {
+      return next(error);
     }
   }
+  if (this.paymentMethod === 'Bank Transfer' && !this.transferCode) {
+    this.transferCode = newTransferCode();
+  }
   next();
 });
 
+const TRANSFER_CODE_ATTEMPTS = 5;
+
+// First save of a new order. Transfer codes are random, so a clash with an
+// existing order's code is retried with a fresh one.
+orderSchema.methods.place = async function () {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (error) {
+      const codeTaken = error.code === 11000 && error.keyPattern?.transferCode;
+      if (!codeTaken || attempt >= TRANSFER_CODE_ATTEMPTS) throw error;
+      this.transferCode = undefined;
+    }
+  }
+};
+
+orderSchema.statics.TRANSITIONS = ORDER_TRANSITIONS;
+
+// Payment states reached only after the money came in; refunds do not reopen payment
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+orderSchema.statics.PAID_STATUSES = PAID_STATUSES;
+
+orderSchema.methods.isPaid = function () {
+  return PAID_STATUSES.includes(this.paymentStatus);
+};
+
+orderSchema.methods.canTransitionTo = function (status) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move to a new status and record who did it; throws on an illegal move
+orderSchema.methods.transitionTo = function (status, { changedBy, note } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change order status from ${this.status} to ${status}`);
+    error.status = 400;
+    throw error;
+  }
+  this.tracking.push({ status, previousStatus: this.status, changedBy, note, date: new Date() });
+  this.status = status;
+
+  // Pay on Delivery is collected at the door, so delivery is the payment
+  if (status === 'Delivered' && this.paymentMethod === 'Pay on Delivery' && this.paymentStatus === 'pending') {
+    this.paymentStatus = 'completed';
+  }
+};
+
+orderSchema.methods.isOwnedBy = function (userId) {
+  return !!this.user && (this.user._id || this.user).toString() === userId.toString();
+};
+
+// Attach guest orders placed with this user's email to their account. Only
+// call once the email is proven: Google sign-in, or a claim link sent to it.
+orderSchema.statics.claimGuestOrders = function (user) {
+  return this.updateMany(
+    { user: null, 'guest.email': user.email.trim().toLowerCase() },
+    { $set: { user: user._id, 'guest.claimedAt': new Date() } }
+  );
+};
+
 // Keep only the non-duplicate index
 orderSchema.index({ paymentReference: 1 });
+orderSchema.index({ 'guest.email': 1, user: 1 });
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
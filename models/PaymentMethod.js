@@ -11,21 +11,23 @@ const paymentMethodSchema = new mongoose.Schema({
     enum: ['card', 'mobile', 'bank'],
     required: true,
   },
-  cardNumber: {
+  // Cards are saved as a Paystack authorization after a successful charge;
+  // the card number and CVV never reach this server.
+  authorizationCode: {
     type: String,
     required: function() { return this.type === 'card'; },
-    trim: true,
-  },
-  expiry: {
-    type: String,
-    required: function() { return this.type === 'card'; },
-    trim: true,
+    select: false,
   },
-  cvv: {
+  signature: { type: String }, // Paystack's fingerprint of the card, one entry per card
+  email: { type: String, trim: true }, // Paystack only charges an authorization with the email it was issued for
+  last4: {
     type: String,
     required: function() { return this.type === 'card'; },
-    trim: true,
   },
+  brand: { type: String, trim: true }, // e.g. visa, mastercard, verve
+  bank: { type: String, trim: true },
+  expMonth: { type: String },
+  expYear: { type: String },
   phone: {
     type: String,
     required: function() { return this.type === 'mobile'; },
@@ -47,4 +49,11 @@ const paymentMethodSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+paymentMethodSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.authorizationCode;
+    return ret;
+  },
+});
+
 module.exports = mongoose.model('PaymentMethod', paymentMethodSchema);
\ No newline at end of file
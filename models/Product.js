@@ -40,6 +40,27 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Product stock is required'],
     min: [0, 'Stock cannot be negative'],
   },
+  // Option axes, e.g. [{ name: 'Size', values: ['S', 'M', 'L'] }]
+  options: [{
+    name: { type: String, required: true, trim: true },
+    values: [{ type: String, trim: true }],
+  }],
+  // One entry per option combination; price falls back to the product price
+  variants: [{
+    sku: { type: String, required: [true, 'Variant SKU is required'], trim: true },
+    options: { type: Map, of: String },
+    price: { type: Number, min: [0, 'Price cannot be negative'] },
+    stock: { type: Number, default: 0, min: [0, 'Stock cannot be negative'] },
+    images: [{
+      url: String,
+      public_id: String,
+    }],
+  }],
+  weight: {
+    type: Number, // Shipping weight in kg
+    min: [0, 'Weight cannot be negative'],
+    default: 0,
+  },
   specifications: {
     type: Map,
     of: String,
@@ -48,6 +69,21 @@ const productSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     rating: { type: Number, min: 1, max: 5 },
     comment: String,
+    photos: [{
+      url: String,
+      public_id: String,
+    }],
+    verifiedPurchase: { type: Boolean, default: false },
+    helpfulVotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    reports: [{
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: String,
+      createdAt: { type: Date, default: Date.now },
+    }],
+    isHidden: { type: Boolean, default: false },
+    hiddenReason: String,
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: Date,
     createdAt: { type: Date, default: Date.now },
   }],
   rating: {
@@ -56,6 +92,10 @@ const productSchema = new mongoose.Schema({
     min: 0,
     max: 5,
   },
+  reviewCount: {
+    type: Number,
+    default: 0,
+  },
   isFlashDeal: {
     type: Boolean,
     default: false,
@@ -72,10 +112,88 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Derived search fields, kept in sync by the pre-save hook below
+  specificationsText: {
+    type: String,
+    default: '',
+  },
+  searchTerms: [{
+    type: String,
+  }],
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+productSchema.index(
+  { name: 'text', description: 'text', specificationsText: 'text' },
+  { name: 'ProductTextIndex', weights: { name: 10, specificationsText: 3, description: 1 } }
+);
+productSchema.index({ searchTerms: 1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+// Unit price for a cart or order line, honouring the variant's own price
+productSchema.methods.priceFor = function (variantId) {
+  const variant = variantId ? this.variants.id(variantId) : null;
+  return variant && variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+};
+
+// Average rating and count over reviews that are not hidden by moderation
+productSchema.methods.recomputeRating = function () {
+  const visible = this.reviews.filter(review => !review.isHidden);
+  this.reviewCount = visible.length;
+  this.rating = visible.length
+    ? visible.reduce((sum, review) => sum + review.rating, 0) / visible.length
+    : 0;
+};
+
+// Every variant must pick one valid value per option axis, with unique SKUs and combinations
+productSchema.pre('validate', function (next) {
+  if (!this.variants.length) return next();
+
+  const seenSkus = new Set();
+  const seenCombos = new Set();
+  for (const variant of this.variants) {
+    const values = variant.options || new Map();
+    for (const option of this.options) {
+      if (!option.values.includes(values.get(option.name))) {
+        return next(new Error(`Variant ${variant.sku} needs a valid ${option.name}`));
+      }
+    }
+    if (values.size !== this.options.length) {
+      return next(new Error(`Variant ${variant.sku} has options that are not defined on the product`));
+    }
+
+    const combo = this.options.map(option => values.get(option.name)).join('/');
+    if (seenSkus.has(variant.sku)) return next(new Error(`Duplicate SKU ${variant.sku}`));
+    if (seenCombos.has(combo)) return next(new Error(`Duplicate variant ${combo}`));
+    seenSkus.add(variant.sku);
+    seenCombos.add(combo);
+  }
+
+  // Product-level stock is the total across variants
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  next();
+});
+
+// Lowercase word tokens used for prefix autocomplete
+const tokenize = text => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length >= 2);
+
+productSchema.methods.refreshSearchFields = function () {
+  const specValues = this.specifications ? Array.from(this.specifications.values()) : [];
+  this.specificationsText = specValues.join(' ');
+  this.searchTerms = [...new Set([...tokenize(this.name), ...specValues.flatMap(tokenize)])];
+};
+
+productSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('name') || this.isModified('specifications') || !this.searchTerms?.length) {
+    this.refreshSearchFields();
+  }
+  next();
+});
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 
+// One document per browser/device; a user can have several
 const pushSubscriptionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   subscription: {
@@ -8,7 +9,12 @@ const pushSubscriptionSchema = new mongoose.Schema({
       p256dh: { type: String, required: true },
       auth: { type: String, required: true }
     }
-  }
+  },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
\ No newline at end of file
+pushSubscriptionSchema.index({ userId: 1 });
+pushSubscriptionSchema.index({ 'subscription.endpoint': 1 }, { unique: true });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
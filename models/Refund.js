@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Money returned on an order, in full or in part. Paystack refunds stay
+// pending until the gateway reports them processed; manual refunds (bank
+// transfer, cash) are recorded once the money has been sent.
+const refundSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  // Lines being refunded; empty for a plain amount refund
+  items: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variant: { type: mongoose.Schema.Types.ObjectId },
+    quantity: { type: Number, required: true, min: 1 },
+    amount: { type: Number, required: true, min: 0 },
+  }],
+  reason: { type: String, required: true, trim: true },
+  method: { type: String, enum: ['paystack', 'manual'], required: true },
+  status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+  gatewayRefundId: { type: String }, // Paystack refund id
+  transactionReference: { type: String }, // Paystack reference of the refunded charge
+  manualReference: { type: String, trim: true }, // Bank transfer reference for manual refunds
+  failureReason: { type: String },
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  processedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ gatewayRefundId: 1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
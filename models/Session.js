@@ -0,0 +1,31 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// One signed-in device. Only hashes of refresh tokens are stored; the previous
+// hash is kept so a replayed (stolen) token can be spotted after rotation.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String },
+  rotatedAt: { type: Date }, // When previousTokenHash was replaced; starts its grace window
+  userAgent: { type: String },
+  device: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Mongo drops sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Empty states make this the catch-all zone; empty cities cover the whole state
+  states: [{ type: String, trim: true }],
+  cities: [{ type: String, trim: true }],
+  baseFee: { type: Number, required: true, min: 0 },
+  // First tier whose range contains the order's subtotal or weight (kg) sets the fee
+  tiers: [{
+    basis: { type: String, enum: ['subtotal', 'weight'], required: true },
+    min: { type: Number, default: 0, min: 0 },
+    max: { type: Number, min: 0 },
+    fee: { type: Number, required: true, min: 0 },
+  }],
+  freeShippingThreshold: { type: Number, min: 0 },
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -1,6 +1,9 @@
 // models/User.js (updated)
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyToken } = require('../utils/totp');
+const { ROLES, permissionsFor } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -8,19 +11,92 @@ const userSchema = new mongoose.Schema({
   password: { type: String, required: true },
   address: { type: String },
   phone: { type: String },
-  isAdmin: { type: Boolean, default: false },
+  isAdmin: { type: Boolean, default: false }, // Staff account; `role` decides what it may do
+  role: { type: String, enum: Object.keys(ROLES) },
   is2FAEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String },
+  twoFactorPendingSecret: { type: String }, // Set during enrolment until a code confirms it
+  twoFactorLastStep: { type: Number }, // Last accepted TOTP time step, blocks code replay
+  recoveryCodes: [{ type: String }], // SHA-256 hashes of unused one-time codes
   isSuspended: { type: Boolean, default: false },
+  passwordResetTokenHash: { type: String },
+  passwordResetExpires: { type: Date },
+  passwordChangedAt: { type: Date },
+  // Which events may reach the customer's devices as web pushes
+  notificationPreferences: {
+    push: {
+      orders: { type: Boolean, default: true }, // Order placed and status changes
+      payments: { type: Boolean, default: true } // Payment confirmed or rejected
+    }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
 userSchema.pre('save', async function (next) {
   if (this.isModified('password')) {
     this.password = await bcrypt.hash(this.password, 10);
+    // Back-dated a second so a token issued right after the change stays valid
+    if (!this.isNew) this.passwordChangedAt = new Date(Date.now() - 1000);
   }
   next();
 });
 
+// True when a JWT issued at `iat` (seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function (iat) {
+  return !!this.passwordChangedAt && iat * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Admins created before roles existed have no role and keep full access
+userSchema.methods.hasPermission = function (permission) {
+  if (!this.isAdmin) return false;
+  return permissionsFor(this.role || 'owner').includes(permission);
+};
+
+const hashRecoveryCode = code => crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+
+// Issue a fresh set of recovery codes; only their hashes are kept
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  this.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Check a TOTP code (or a recovery code, which is then spent). Caller saves.
+userSchema.methods.verifySecondFactor = function (code) {
+  if (!code || !this.twoFactorSecret) return false;
+
+  const step = verifyToken(this.twoFactorSecret, code);
+  if (step !== null) {
+    if (this.twoFactorLastStep !== undefined && step <= this.twoFactorLastStep) return false;
+    this.twoFactorLastStep = step;
+    return true;
+  }
+
+  const hash = hashRecoveryCode(String(code));
+  if (this.recoveryCodes.includes(hash)) {
+    this.recoveryCodes = this.recoveryCodes.filter(h => h !== hash);
+    return true;
+  }
+  return false;
+};
+
+// Never send password, reset or 2FA secrets to the client
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.passwordResetTokenHash;
+    delete ret.passwordResetExpires;
+    delete ret.twoFactorSecret;
+    delete ret.twoFactorPendingSecret;
+    delete ret.twoFactorLastStep;
+    delete ret.recoveryCodes;
+    return ret;
+  }
+});
+
 userSchema.methods.comparePassword = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
@@ -0,0 +1,63 @@
+// public/session.js
+// Access tokens only last a few minutes. When an API call made with the stored
+// token comes back 401, swap the refresh token for a new pair and retry once.
+(function () {
+  const originalFetch = window.fetch.bind(window);
+  let refreshing = null;
+
+  // Same API origin as the failed request, e.g. https://host/api/auth/refresh
+  const refreshUrl = url => url.slice(0, url.indexOf('/api/') + 5) + 'auth/refresh';
+
+  function refreshTokens(url) {
+    if (!refreshing) {
+      const refreshToken = localStorage.getItem('refreshToken');
+      refreshing = (refreshToken
+        ? originalFetch(refreshUrl(url), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken }),
+          }).then(response => (response.ok ? response.json() : null))
+        : Promise.resolve(null))
+        .then(data => {
+          // Another tab refreshed first: its new pair is already stored, so use it
+          if ((!data || !data.token) && refreshToken && localStorage.getItem('refreshToken') !== refreshToken) {
+            return localStorage.getItem('token');
+          }
+          if (!data || !data.token) {
+            localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
+            return null;
+          }
+          localStorage.setItem('token', data.token);
+          localStorage.setItem('refreshToken', data.refreshToken);
+          return data.token;
+        })
+        .catch(() => null)
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  window.fetch = async function (input, init = {}) {
+    const response = await originalFetch(input, init);
+    const url = typeof input === 'string' ? input : input.url;
+    const headers = new Headers(init.headers || {});
+    const token = localStorage.getItem('token');
+
+    if (response.status !== 401 || !url.includes('/api/') || url.includes('/api/auth/')
+      || !token || headers.get('Authorization') !== `Bearer ${token}`) {
+      return response;
+    }
+
+    const newToken = await refreshTokens(url);
+    if (!newToken) return response;
+    headers.set('Authorization', `Bearer ${newToken}`);
+    return originalFetch(input, { ...init, headers });
+  };
+
+  // Remember both halves of a login/refresh response
+  window.saveSession = (data) => {
+    localStorage.setItem('token', data.token);
+    if (data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+  };
+})();
@@ -2,11 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { getAds, getAdCampaigns } = require('../controllers/adController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Route for fetching ad metrics and chart data (admin only)
-router.get('/', auth, getAds);
+router.get('/', auth, requirePermission('ads:manage'), getAds);
 
 // Route for fetching recent ad campaigns (admin only)
-router.get('/campaigns', auth, getAdCampaigns);
+router.get('/campaigns', auth, requirePermission('ads:manage'), getAdCampaigns);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+// routes/adminRoutes.js
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+router.get('/audit', auth, requirePermission('audit:read'), getAuditLogs); // Filterable audit log, ?format=csv to export
+
+module.exports = router;
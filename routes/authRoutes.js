@@ -2,9 +2,49 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const googleAuthController = require('../controllers/googleAuthController');
+const rateLimit = require('../middleware/rateLimit');
+const auth = require('../middleware/auth');
+const { verifyTwoFactorChallenge } = require('../utils/authTokens');
+
+const HOUR = 60 * 60 * 1000;
+const resetLimits = [
+  rateLimit({ windowMs: HOUR, max: 10, message: 'Too many reset requests from this device, try again later' }),
+  rateLimit({
+    windowMs: HOUR,
+    max: 3,
+    key: req => req.body?.email?.trim().toLowerCase(),
+    message: 'Too many reset requests for this email, try again later',
+  }),
+];
+
+// Brute-forcing a six digit code needs many guesses; cap them per device and
+// per account, since each fresh login mints a new challenge from any address
+const twoFactorLimit = [
+  rateLimit({ windowMs: 15 * 60 * 1000, max: 10, message: 'Too many verification attempts, try again later' }),
+  rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    key: req => {
+      try {
+        return String(verifyTwoFactorChallenge(req.body?.challengeToken).id);
+      } catch (error) {
+        return null; // Rejected by the controller without a guess being checked
+      }
+    },
+    message: 'Too many verification attempts for this account, try again later',
+  }),
+];
 
 router.post('/signup', authController.signup); // Line 5 (potential issue)
 router.post('/login', authController.login);
+router.post('/2fa/verify', twoFactorLimit, authController.verifyTwoFactor);
 router.post('/google', googleAuthController.googleAuth);
+router.post('/forgot-password', resetLimits, authController.forgotPassword);
+router.post('/reset-password', resetLimits[0], authController.resetPassword);
+router.post('/refresh', authController.refresh);
+router.post('/logout', auth, authController.logout);
+router.post('/logout-all', auth, authController.logoutAll);
+router.get('/sessions', auth, authController.getSessions);
+router.delete('/sessions/:id', auth, authController.revokeSession);
 
 module.exports = router;
\ No newline at end of file
@@ -1,14 +1,17 @@
 // routes/bankRoutes.js
 const express = require('express');
 const router = express.Router();
+const BankAccount = require('../models/BankAccount');
 
-// This route responds to GET /api/bank-details
-router.get('/', (req, res) => {
-  res.json({
-    bank: 'UNION BANK NIGERIA',
-    accountName: 'PULSE PARCEL LIMITED',
-    accountNumber: '0236868956'
-  });
+// GET /api/bank-details: active receiving accounts, managed under /api/reconciliation
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await BankAccount.find({ isActive: true }).select('bankName accountName accountNumber').sort({ createdAt: 1 });
+    res.json({ accounts });
+  } catch (error) {
+    console.error('Error in getBankAccounts:', error);
+    res.status(400).json({ message: error.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
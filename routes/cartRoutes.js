@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { addToCart, removeFromCart, getCart, mergeCart, getAllCarts } = require('../controllers/cartController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Route for fetching all carts (for admin dashboard funnel chart)
-router.get('/', auth, getAllCarts); // Changed from /all to / for frontend compatibility
+router.get('/', auth, requirePermission('analytics:view'), getAllCarts); // Changed from /all to / for frontend compatibility
 
 // Route for fetching a user's cart
 router.get('/me', auth, getCart); // Changed from / to /me to avoid conflict
@@ -13,6 +14,6 @@ router.get('/me', auth, getCart); // Changed from / to /me to avoid conflict
 router.post('/add', auth, addToCart); // POST /api/carts/add
 router.post('/remove', auth, removeFromCart); // POST /api/carts/remove
 router.post('/merge', auth, mergeCart); // POST /api/carts/merge
-router.get('/all', auth, getAllCarts); // Optional: keep as fallback
+router.get('/all', auth, requirePermission('analytics:view'), getAllCarts); // Optional: keep as fallback
 
 module.exports = router;
\ No newline at end of file
@@ -3,10 +3,11 @@ const express = require('express');
 const router = express.Router();
 const { createCategory, getCategories, updateCategory, deleteCategory } = require('../controllers/categoryController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
-router.post('/', auth, createCategory); // Admin-only: Create category
+router.post('/', auth, requirePermission('categories:manage'), createCategory); // Admin-only: Create category
 router.get('/', auth, getCategories); // Admin-only: List categories
-router.put('/:id', auth, updateCategory); // Admin-only: Update category
-router.delete('/:id', auth, deleteCategory); // Admin-only: Delete category
+router.put('/:id', auth, requirePermission('categories:manage'), updateCategory); // Admin-only: Update category
+router.delete('/:id', auth, requirePermission('categories:manage'), deleteCategory); // Admin-only: Delete category
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { createChat, sendMessage, getChat } = require('../controllers/chatController');
+const {
+  createChat, sendMessage, getChat, markChatRead,
+  getAdminChats, getAdminChat, sendAdminMessage,
+} = require('../controllers/chatController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 const upload = require('../middleware/upload');
 
 router.post('/', auth, createChat);
 router.post('/message', auth, upload.array('images', 5), sendMessage);
+router.put('/read', auth, markChatRead);
 router.get('/', auth, getChat);
 
-module.exports = router;
\ No newline at end of file
+// Admin support inbox
+router.get('/admin', auth, requirePermission('chat:manage'), getAdminChats);
+router.get('/admin/:id', auth, requirePermission('chat:manage'), getAdminChat);
+router.post('/admin/:id/message', auth, requirePermission('chat:manage'), upload.array('images', 5), sendAdminMessage);
+
+module.exports = router;
@@ -1,10 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { getCheckoutData, createOrder, verifyPayment } = require('../controllers/checkoutController');
+const { getCheckoutData, createOrder, verifyPayment, initializePayment, getGuestQuote, createGuestOrder } = require('../controllers/checkoutController');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const proofUpload = require('../middleware/proofUpload');
+
+const guestOrderLimiter = rateLimit({ windowMs: 60 * 60 * 1000, max: 10, message: 'Too many orders from this device, please try again later' });
 
 router.get('/', auth, getCheckoutData);
 router.post('/order', auth, createOrder);
+router.post('/paystack/initialize', auth, initializePayment);
 router.post('/verify-payment', auth, verifyPayment); // New endpoint for Paystack verification
 
+// Guest checkout: the cart comes from the client and the order is tied to a contact email
+router.post('/guest/quote', getGuestQuote);
+router.post('/guest/order', guestOrderLimiter, proofUpload.single('paymentProof'), createGuestOrder);
+router.post('/guest/paystack/initialize', initializePayment);
+router.post('/guest/verify-payment', verifyPayment);
+
 module.exports = router;
\ No newline at end of file
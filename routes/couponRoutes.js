@@ -0,0 +1,14 @@
+// routes/couponRoutes.js
+const express = require('express');
+const router = express.Router();
+const { getCoupons, getCoupon, createCoupon, updateCoupon, deleteCoupon } = require('../controllers/couponController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+router.get('/', auth, requirePermission('coupons:manage'), getCoupons); // Admin-only: List coupons
+router.post('/', auth, requirePermission('coupons:manage'), createCoupon); // Admin-only: Create coupon
+router.get('/:id', auth, requirePermission('coupons:manage'), getCoupon); // Admin-only: Coupon details
+router.put('/:id', auth, requirePermission('coupons:manage'), updateCoupon); // Admin-only: Update coupon
+router.delete('/:id', auth, requirePermission('coupons:manage'), deleteCoupon); // Admin-only: Delete coupon
+
+module.exports = router;
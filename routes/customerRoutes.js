@@ -5,13 +5,14 @@ const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
 const customerController = require('../controllers/customerController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
-router.get('/', auth, customerController.getAllCustomers);
-router.get('/inactive', auth, customerController.getInactiveCustomers);
-router.get('/most-ordered', auth, customerController.getMostOrderedItems);
-router.get('/export', auth, customerController.exportCustomers);
-router.get('/:id', auth, customerController.getCustomerById);
-router.put('/:id/suspend', auth, customerController.suspendCustomer);
-router.post('/broadcast', auth, upload.single('image'), customerController.sendBroadcast);
+router.get('/', auth, requirePermission('customers:read'), customerController.getAllCustomers);
+router.get('/inactive', auth, requirePermission('customers:read'), customerController.getInactiveCustomers);
+router.get('/most-ordered', auth, requirePermission('customers:read'), customerController.getMostOrderedItems);
+router.get('/export', auth, requirePermission('customers:export'), customerController.exportCustomers);
+router.get('/:id', auth, requirePermission('customers:read'), customerController.getCustomerById);
+router.put('/:id/suspend', auth, requirePermission('customers:manage'), customerController.suspendCustomer);
+router.post('/broadcast', auth, requirePermission('customers:broadcast'), upload.single('image'), customerController.sendBroadcast);
 
 module.exports = router;
\ No newline at end of file
@@ -2,15 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 const VisitorLocation = require('../models/VisitorLocation');
 const { Parser } = require('json2csv');
 
 // Get referral and location analytics (admin-only)
-router.get('/', auth, async (req, res) => {
-  if (!req.user.isAdmin) {
-    res.status(403);
-    throw new Error('Admin access required');
-  }
+router.get('/', auth, requirePermission('analytics:view'), async (req, res) => {
   try {
     const period = req.query.period || '30d';
     const days = period === '7d' ? 7 : period === '30d' ? 30 : 90;
@@ -73,11 +70,7 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get paginated visitor details
-router.get('/details', auth, async (req, res) => {
-  if (!req.user.isAdmin) {
-    res.status(403);
-    throw new Error('Admin access required');
-  }
+router.get('/details', auth, requirePermission('analytics:view'), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 5;
   const skip = (page - 1) * limit;
@@ -100,11 +93,7 @@ router.get('/details', auth, async (req, res) => {
 });
 
 // Export visitor data as CSV
-router.get('/export', auth, async (req, res) => {
-  if (!req.user.isAdmin) {
-    res.status(403);
-    throw new Error('Admin access required');
-  }
+router.get('/export', auth, requirePermission('analytics:view'), async (req, res) => {
   try {
     const filter = {};
     if (req.query.country) filter.country = req.query.country;
@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
-router.get('/', auth, notificationController.getNotifications);
+router.get('/', auth, notificationController.getNotifications); // ?page&limit&type&unread=true
+router.get('/unread-count', auth, notificationController.getUnreadCount);
+router.put('/read-all', auth, notificationController.markAllAsRead);
 router.put('/:notificationId/read', auth, notificationController.markAsRead);
-router.post('/advertisement', auth, notificationController.createAdvertisementNotification);
+router.delete('/:notificationId', auth, notificationController.deleteNotification);
+router.post('/advertisement', auth, requirePermission('notifications:send'), notificationController.createAdvertisementNotification);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,23 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const returnController = require('../controllers/returnController');
+const refundController = require('../controllers/refundController');
 const auth = require('../middleware/auth');
-const multer = require('multer');
-
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only images and PDFs are allowed.'));
-    }
-  },
-});
+const requirePermission = require('../middleware/requirePermission');
+const cloudinaryUpload = require('../middleware/upload');
+const proofUpload = require('../middleware/proofUpload');
 
 // Upload payment proof
-router.post('/upload-proof', auth, upload.single('proof'), orderController.uploadPaymentProof);
+router.post('/upload-proof', auth, proofUpload.single('proof'), orderController.uploadPaymentProof);
 
 // Create order
 router.post('/', auth, orderController.createOrder);
@@ -26,10 +18,13 @@ router.post('/', auth, orderController.createOrder);
 router.get('/', auth, orderController.getOrders);
 
 // Sales metrics
-router.get('/sales', auth, orderController.getSalesMetrics);
+router.get('/sales', auth, requirePermission('dashboard:view'), orderController.getSalesMetrics);
 
 // Export orders CSV
-router.get('/export', auth, orderController.exportOrders);
+router.get('/export', auth, requirePermission('orders:export'), orderController.exportOrders);
+
+// Bulk invoice PDF (admin)
+router.get('/invoices.pdf', auth, requirePermission('orders:read'), orderController.getInvoices);
 
 // Track order by orderNumber
 router.get('/track', auth, orderController.trackOrder);
@@ -38,8 +33,33 @@ router.get('/track', auth, orderController.trackOrder);
 // e.g., bank-details endpoint
 router.get('/bank-details', auth, orderController.getBankDetails);
 
+// Return requests: customer's own list or the admin queue
+router.get('/returns', auth, returnController.getReturnRequests);
+
+// Approve or reject a return (admin)
+router.patch('/returns/:id', auth, requirePermission('returns:manage'), returnController.reviewReturnRequest);
+
+// Refunds across all orders (admin)
+router.get('/refunds', auth, requirePermission('orders:read'), refundController.getRefunds);
+
+// Refunds on one order: owner or staff can list, refunding needs orders:refund
+router.get('/:id/refunds', auth, refundController.getOrderRefunds);
+router.post('/:id/refunds', auth, requirePermission('orders:refund'), refundController.createRefund);
+
+// Invoice or receipt PDF for one order
+router.get('/:id/invoice.pdf', auth, orderController.getInvoice);
+
+// Signed-in customer adds a guest order to their account with its tracking token
+router.post('/:id/claim', auth, orderController.claimGuestOrder);
+
+// Customer cancels an order that has not shipped
+router.post('/:id/cancel', auth, orderController.cancelOrder);
+
+// Customer opens a return on a delivered order
+router.post('/:id/returns', auth, cloudinaryUpload.array('photos', 5), returnController.createReturnRequest);
+
 // Update order status
-router.patch('/:id', auth, orderController.updateOrderStatus);
+router.patch('/:id', auth, requirePermission('orders:update'), orderController.updateOrderStatus);
 
 // Get order by ID (after special routes!)
 router.get('/:id', auth, orderController.getOrder);
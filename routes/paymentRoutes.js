@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { getPayments, getPaymentById, addPayment, updatePayment, deletePayment } = require('../controllers/paymentController');
+const { getPayments, getPaymentById, addPayment, updatePayment, deletePayment, paystackWebhook } = require('../controllers/paymentController');
 const auth = require('../middleware/auth');
 
+// Gateway webhooks (signature-verified, no user auth)
+router.post('/webhook/paystack', paystackWebhook);
+
 router.post('/', auth, addPayment);
 router.get('/', auth, getPayments);
 router.get('/:id', auth, getPaymentById);
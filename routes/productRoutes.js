@@ -1,20 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { createProduct, getProducts, getProductById, updateProduct, deleteProduct, addStarRating } = require('../controllers/productController');
+const { createProduct, getProducts, getProductById, updateProduct, deleteProduct } = require('../controllers/productController');
+const { addReview, getReviews, voteHelpful, reportReview, getModerationQueue, moderateReview } = require('../controllers/reviewController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 const upload = require('../middleware/upload');
 
 console.log('✅ Registering product routes');
-console.log('Imported handlers:', { createProduct, getProducts, getProductById, updateProduct, deleteProduct, addStarRating });
+console.log('Imported handlers:', { createProduct, getProducts, getProductById, updateProduct, deleteProduct, addReview });
+
+// Admin review moderation (before /:id)
+router.get('/reviews/moderation', auth, requirePermission('reviews:moderate'), getModerationQueue);
 
 // Public routes
 router.get('/', getProducts);
 router.get('/:id', getProductById);
+router.get('/:id/reviews', getReviews);
 
-// Authenticated routes
-router.post('/', auth, upload.array('images', 5), createProduct);
-router.put('/:id', auth, upload.array('images', 5), updateProduct);
-router.delete('/:id', auth, deleteProduct);
-router.post('/:id/reviews', auth, addStarRating);
+// Authenticated routes (catalog changes need staff permissions)
+router.post('/', auth, requirePermission('products:manage'), upload.array('images', 5), createProduct);
+router.put('/:id', auth, requirePermission('products:manage'), upload.array('images', 5), updateProduct);
+router.delete('/:id', auth, requirePermission('products:manage'), deleteProduct);
+router.post('/:id/reviews', auth, upload.array('photos', 5), addReview);
+router.post('/:id/reviews/:reviewId/helpful', auth, voteHelpful);
+router.post('/:id/reviews/:reviewId/report', auth, reportReview);
+router.patch('/:id/reviews/:reviewId/moderation', auth, requirePermission('reviews:moderate'), moderateReview);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,9 @@
 const express = require('express');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const { searchProducts, autocomplete } = require('../controllers/searchController');
+const { getGuestOrder, getGuestInvoice, trackOrderPublic, claimGuestOrdersByLink } = require('../controllers/orderController');
+const rateLimit = require('../middleware/rateLimit');
 const router = express.Router();
 
 // Public product routes
@@ -20,13 +23,37 @@ router.get('/products', async (req, res) => {
         if (sort === 'discount-desc') sortOptions.discount = -1;
         if (sort === 'rating-desc') sortOptions.rating = -1;
 
-        const products = await Product.find(query).sort(sortOptions);
+        // Reviews are served filtered by the product page, not in lists
+        const products = await Product.find(query).select('-reviews').sort(sortOptions);
         res.json(products);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
     }
 });
 
+// Full-text product search with facets, and search-bar suggestions
+router.get('/search', searchProducts);
+router.get('/search/autocomplete', autocomplete);
+
+// Guest order tracking via the signed link (?token=)
+router.get('/orders/:id', getGuestOrder);
+router.get('/orders/:id/invoice.pdf', getGuestInvoice);
+
+// Claim link emailed after sign-up to the address guest orders were placed with
+router.post('/orders/claim', rateLimit({ windowMs: 15 * 60 * 1000, max: 20 }), claimGuestOrdersByLink);
+
+// Tracking by order number + delivery phone; the per-order limit stops phone guessing across devices
+const trackLimits = [
+  rateLimit({ windowMs: 15 * 60 * 1000, max: 20, message: 'Too many tracking attempts, please try again later' }),
+  rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    key: req => String(req.body?.orderNumber || '').trim().toUpperCase(),
+    message: 'Too many tracking attempts for this order, please try again later',
+  }),
+];
+router.post('/orders/track', ...trackLimits, trackOrderPublic);
+
 // Public category routes
 router.get('/categories', async (req, res) => {
     try {
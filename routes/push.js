@@ -1,31 +1,41 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
-
-// Define a schema for push subscriptions
-const pushSubscriptionSchema = new mongoose.Schema({
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    subscription: { type: Object, required: true },
-    createdAt: { type: Date, default: Date.now }
-});
-
-const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
 
 // Middleware to verify JWT (assuming you have an auth middleware)
 const authMiddleware = require('../middleware/auth'); // Adjust path as needed
 
-// Endpoint to save push subscription
-router.post('/push-subscription', authMiddleware, async (req, res) => {
+const PUSH_CATEGORIES = ['orders', 'payments'];
+
+// Public key the browser needs for pushManager.subscribe()
+router.get('/vapid-public-key', (req, res) => {
+    if (!process.env.VAPID_PUBLIC_KEY) {
+        return res.status(503).json({ error: 'Push notifications are not configured' });
+    }
+    res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// Save a subscription for this device. Accepts the PushSubscription JSON
+// directly or wrapped as { subscription }.
+const saveSubscription = async (req, res) => {
     try {
-        const { subscription } = req.body;
-        if (!subscription) {
+        const subscription = req.body.subscription || req.body;
+        if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
             return res.status(400).json({ error: 'Subscription data is required' });
         }
 
-        // Save or update subscription in MongoDB
+        // Keyed by endpoint so each browser keeps one entry, moved to whoever signed in last
         await PushSubscription.updateOne(
-            { userId: req.user._id }, // Assuming authMiddleware sets req.user
-            { $set: { subscription, createdAt: new Date() } },
+            { 'subscription.endpoint': subscription.endpoint },
+            {
+                $set: {
+                    userId: req.user._id,
+                    subscription: { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth } },
+                    userAgent: req.get('user-agent'),
+                    createdAt: new Date()
+                }
+            },
             { upsert: true }
         );
 
@@ -34,6 +44,52 @@ router.post('/push-subscription', authMiddleware, async (req, res) => {
         console.error('Error saving push subscription:', error);
         res.status(500).json({ error: 'Failed to save subscription' });
     }
+};
+
+router.post('/subscribe', authMiddleware, saveSubscription);
+router.post('/push-subscription', authMiddleware, saveSubscription);
+
+// Remove this device's subscription
+router.post('/unsubscribe', authMiddleware, async (req, res) => {
+    try {
+        const endpoint = req.body.endpoint || req.body.subscription?.endpoint;
+        if (!endpoint) return res.status(400).json({ error: 'Endpoint is required' });
+        await PushSubscription.deleteOne({ 'subscription.endpoint': endpoint, userId: req.user._id });
+        res.json({ message: 'Subscription removed' });
+    } catch (error) {
+        console.error('Error removing push subscription:', error);
+        res.status(500).json({ error: 'Failed to remove subscription' });
+    }
+});
+
+router.get('/preferences', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('notificationPreferences');
+        const devices = await PushSubscription.countDocuments({ userId: req.user._id });
+        res.json({ push: user.notificationPreferences.push, devices });
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ error: 'Failed to fetch preferences' });
+    }
+});
+
+// Body: { push: { orders: false } }; unknown categories are ignored
+router.put('/preferences', authMiddleware, async (req, res) => {
+    try {
+        const updates = {};
+        PUSH_CATEGORIES.forEach(category => {
+            if (typeof req.body.push?.[category] === 'boolean') {
+                updates[`notificationPreferences.push.${category}`] = req.body.push[category];
+            }
+        });
+        if (!Object.keys(updates).length) return res.status(400).json({ error: 'No preferences to update' });
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true }).select('notificationPreferences');
+        res.json({ push: user.notificationPreferences.push });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({ error: 'Failed to update preferences' });
+    }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
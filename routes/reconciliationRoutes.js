@@ -0,0 +1,25 @@
+// routes/reconciliationRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+  getAccounts, createAccount, updateAccount, deleteAccount,
+  importStatement, getTransactions, getReviewQueue, assignTransaction, resolveTransaction,
+} = require('../controllers/reconciliationController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const statementUpload = require('../middleware/statementUpload');
+
+const canReconcile = [auth, requirePermission('payments:reconcile')];
+
+router.get('/accounts', ...canReconcile, getAccounts); // Receiving accounts, including inactive ones
+router.post('/accounts', ...canReconcile, createAccount);
+router.put('/accounts/:id', ...canReconcile, updateAccount);
+router.delete('/accounts/:id', ...canReconcile, deleteAccount);
+
+router.post('/statements', ...canReconcile, statementUpload.single('statement'), importStatement); // Import a bank statement CSV
+router.get('/transactions', ...canReconcile, getTransactions);
+router.get('/review-queue', ...canReconcile, getReviewQueue); // Part payments, overpayments and unmatched credits
+router.post('/transactions/:id/assign', ...canReconcile, assignTransaction);
+router.post('/transactions/:id/resolve', ...canReconcile, resolveTransaction);
+
+module.exports = router;
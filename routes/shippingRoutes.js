@@ -0,0 +1,15 @@
+// routes/shippingRoutes.js
+const express = require('express');
+const router = express.Router();
+const { getQuote, getZones, createZone, updateZone, deleteZone } = require('../controllers/shippingController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+router.get('/quote', auth, getQuote); // Delivery quote for the current cart
+
+router.get('/zones', auth, requirePermission('shipping:manage'), getZones); // Admin-only: List zones
+router.post('/zones', auth, requirePermission('shipping:manage'), createZone); // Admin-only: Create zone
+router.put('/zones/:id', auth, requirePermission('shipping:manage'), updateZone); // Admin-only: Update zone
+router.delete('/zones/:id', auth, requirePermission('shipping:manage'), deleteZone); // Admin-only: Delete zone
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// routes/staffRoutes.js
+const express = require('express');
+const router = express.Router();
+const { getRoles, getStaff, addStaff, updateStaffRole, removeStaff } = require('../controllers/staffController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+router.get('/roles', auth, requirePermission('staff:manage'), getRoles); // Roles and what they grant
+router.get('/', auth, requirePermission('staff:manage'), getStaff); // List staff
+router.post('/', auth, requirePermission('staff:manage'), addStaff); // Add or promote a staff member
+router.put('/:id/role', auth, requirePermission('staff:manage'), updateStaffRole); // Change role
+router.delete('/:id', auth, requirePermission('staff:manage'), removeStaff); // Revoke staff access
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getProfile, updateProfile, changePassword, toggle2FA, getAllUsers } = require('../controllers/userController');
+const { register, login, getProfile, updateProfile, changePassword, toggle2FA, setup2FA, confirm2FA, disable2FA, regenerateRecoveryCodes, getAllUsers } = require('../controllers/userController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Debug: Ensure controllers are functions
 if (typeof getProfile !== 'function') {
@@ -18,6 +19,10 @@ router.get('/profile', auth, getProfile);
 router.put('/profile', auth, updateProfile);
 router.post('/change-password', auth, changePassword);
 router.post('/toggle-2fa', auth, toggle2FA);
-router.get('/', auth, getAllUsers);
+router.post('/2fa/setup', auth, setup2FA);
+router.post('/2fa/confirm', auth, confirm2FA);
+router.post('/2fa/disable', auth, disable2FA);
+router.post('/2fa/recovery-codes', auth, regenerateRecoveryCodes);
+router.get('/', auth, requirePermission('customers:read'), getAllUsers);
 
 module.exports = router;
\ No newline at end of file
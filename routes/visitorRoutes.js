@@ -2,11 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { getVisitors, getVisitorActivity } = require('../controllers/visitorController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Route for fetching visitor trends (admin only)
-router.get('/', auth, getVisitors);
+router.get('/', auth, requirePermission('analytics:view'), getVisitors);
 
 // Route for fetching recent visitor activity (admin only)
-router.get('/activity', auth, getVisitorActivity);
+router.get('/activity', auth, requirePermission('analytics:view'), getVisitorActivity);
 
 module.exports = router;
\ No newline at end of file
@@ -5,7 +5,6 @@ const path = require('path');
 const http = require('http');
 const { Server } = require('socket.io');
 const fs = require('fs').promises;
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 
 // CLOUDINARY
@@ -13,6 +12,7 @@ require('./config/cloudinary');
 
 // WEB-PUSH
 const webpush = require('web-push');
+const { isPushConfigured } = require('./utils/push');
 
 // DB & Models
 const connectDB = require('./config/db');
@@ -20,6 +20,8 @@ let User, Chat;
 
 const errorHandler = require('./middleware/errorHandler');
 const auth = require('./middleware/auth');
+const requirePermission = require('./middleware/requirePermission');
+const { authenticateAccessToken } = require('./utils/authTokens');
 
 // Routes
 const userRoutes = require('./routes/userRoutes');
@@ -39,6 +41,15 @@ const adRoutes = require('./routes/adRoutes');
 const locationRoutes = require('./routes/locationRoutes');
 const customerRoutes = require('./routes/customerRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const staffRoutes = require('./routes/staffRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const bankRoutes = require('./routes/bankRoutes');
+const pushRoutes = require('./routes/push');
+const notificationRoutes = require('./routes/notificationRoutes');
+const { PERMISSIONS, staffRoom } = require('./utils/permissions');
 
 // Multer config
 const upload = multer({
@@ -57,6 +68,9 @@ Promise.all([
 ]);
 
 const app = express();
+// Render terminates TLS in front of us; trust its one hop so req.ip is the client
+// (rate limits and session/audit IPs key on it)
+app.set('trust proxy', 1);
 const server = http.createServer(app);
 
 // --- Socket.IO ---
@@ -88,7 +102,13 @@ app.use('/admin/static', express.static(path.join(__dirname, 'admin/static')));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Body parsers
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes for gateway webhooks, whose signatures cover the exact body
+  verify: (req, _, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // API routes
@@ -102,27 +122,38 @@ app.use('/api/carts', auth, cartRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/addresses', auth, addressRoutes);
 app.use('/api/payments', paymentRoutes);
-app.use('/api/checkout', auth, checkoutRoutes);
+app.use('/api/checkout', checkoutRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/wishlist', auth, wishlistRoutes);
 app.use('/api/visitors', auth, visitorRoutes);
 app.use('/api/ads', adRoutes);
 app.use('/api/locations', locationRoutes);
 app.use('/api/customers', auth, customerRoutes);
 app.use('/api/upload', auth, uploadRoutes);
+app.use('/api/coupons', auth, couponRoutes);
+app.use('/api/shipping', auth, shippingRoutes);
+app.use('/api/staff', auth, staffRoutes);
+app.use('/api/admin', auth, adminRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/bank-details', bankRoutes);
 
 // Connect to DB and load models
 connectDB()
   .then(async () => {
     User = require('./models/User');
-    const chatModels = require('./models/Chat');
-    Chat = chatModels.Chat;
-
-    webpush.setVapidDetails(
-      'mailto:support@bazukastore.com',
-      process.env.VAPID_PUBLIC_KEY,
-      process.env.VAPID_PRIVATE_KEY
-    );
-    console.log('Web-push configured');
+    Chat = require('./models/Chat');
+
+    if (isPushConfigured()) {
+      webpush.setVapidDetails(
+        process.env.VAPID_SUBJECT || 'mailto:support@bazukastore.com',
+        process.env.VAPID_PUBLIC_KEY,
+        process.env.VAPID_PRIVATE_KEY
+      );
+      console.log('Web-push configured');
+    } else {
+      console.log('Web-push disabled: VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY not set');
+    }
   })
   .catch(err => {
     console.error('DB connection failed:', err);
@@ -130,21 +161,41 @@ connectDB()
   });
 
 // --- Socket.IO authentication ---
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   const token = socket.handshake.auth.token?.replace('Bearer ', '');
   if (!token) return next(new Error('No token'));
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.user = { id: decoded.id, name: decoded.name || 'User' };
+    const { user, sessionId } = await authenticateAccessToken(token);
+    socket.user = {
+      id: user._id.toString(),
+      name: user.name || 'User',
+      isAdmin: user.isAdmin,
+      sessionId,
+      permissions: Object.keys(PERMISSIONS).filter(permission => user.hasPermission(permission)),
+    };
     next();
   } catch (e) {
-    next(new Error('Invalid token'));
+    next(new Error(e.status ? e.message : 'Invalid token'));
   }
 });
 
 io.on('connection', (socket) => {
   console.log(`[SOCKET] Connected ${socket.id} | User ${socket.user.id}`);
   onlineUsers.set(socket.user.id, socket.id);
+  socket.join(`user_${socket.user.id}`);
+  socket.join(`session_${socket.user.sessionId}`); // Lets logout/revocation drop this socket
+  // Staff get catalogue broadcasts, plus the rooms their permissions cover
+  if (socket.user.isAdmin) socket.join('adminRoom');
+  socket.user.permissions.forEach(permission => socket.join(staffRoom(permission)));
+
+  // Support chat typing indicator: chat staff name the customer, everyone else goes to the inbox
+  socket.on('chatTyping', ({ userId, isTyping } = {}) => {
+    if (socket.user.permissions.includes('chat:manage')) {
+      if (userId) io.to(`user_${userId}`).emit('chatTyping', { sender: 'admin', isTyping: !!isTyping });
+    } else {
+      io.to(staffRoom('chat:manage')).emit('chatTyping', { sender: 'user', userId: socket.user.id, isTyping: !!isTyping });
+    }
+  });
 
   socket.on('disconnect', () => {
     onlineUsers.forEach((sid, userId) => {
@@ -161,7 +212,7 @@ app.use(async (req, res, next) => {
   try {
     const VisitorLocation = require('./models/VisitorLocation');
     const latest = await VisitorLocation.findOne().sort({ timestamp: -1 }).lean();
-    if (latest && io) io.to('adminRoom').emit('newVisitor', latest);
+    if (latest && io) io.to(staffRoom('analytics:view')).emit('newVisitor', latest);
   } catch {}
 });
 
@@ -176,23 +227,18 @@ app.get('/images/:filename', async (req, res) => {
 const serve = file => (_, res) => res.sendFile(path.join(__dirname, 'public', file));
 app.get('/', serve('index.html'));
 app.get('/categories.html', serve('categories.html'));
-app.get('/track-order.html', auth, serve('track-order.html'));
+app.get('/track-order.html', serve('track-order.html'));
 app.get('/request.html', serve('request.html'));
 app.get('/request-details.html', serve('request-details.html'));
-app.get('/orders.html', auth, (req, res) => {
-  if (!req.user?.isAdmin) return res.status(403).json({ message: 'Admin only' });
-  res.sendFile(path.join(__dirname, 'public', 'orders.html'));
-});
-app.get('/admin', auth, (req, res) => {
-  if (!req.user?.isAdmin) return res.status(403).json({ message: 'Admin only' });
-  res.sendFile(path.join(__dirname, 'admin', 'index.html'));
-});
-['sales-orders.html', 'products.html', 'customers.html'].forEach(f =>
-  app.get(`/admin/${f}`, auth, (req, res) => {
-    if (!req.user?.isAdmin) return res.status(403).json({ message: 'Admin only' });
-    res.sendFile(path.join(__dirname, 'admin', f));
-  })
-);
+// Staff pages need the permission their screen relies on
+const staffPage = (dir, file, permission) => [auth, requirePermission(permission), (_, res) => res.sendFile(path.join(__dirname, dir, file))];
+app.get('/orders.html', ...staffPage('public', 'orders.html', 'orders:read'));
+app.get('/admin', ...staffPage('admin', 'index.html', 'dashboard:view'));
+Object.entries({
+  'sales-orders.html': 'orders:read',
+  'products.html': 'products:manage',
+  'customers.html': 'customers:read',
+}).forEach(([f, permission]) => app.get(`/admin/${f}`, ...staffPage('admin', f, permission)));
 
 // Error handling
 app.use(errorHandler);
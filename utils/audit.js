@@ -0,0 +1,47 @@
+// utils/audit.js
+const AuditLog = require('../models/AuditLog');
+const { clientIp } = require('./authTokens');
+
+const toPlain = value => JSON.parse(JSON.stringify(
+  value && typeof value.toObject === 'function' ? value.toObject({ flattenMaps: true, depopulate: true }) : value ?? null
+));
+
+// Plain copy of the audited fields, taken before and after a change
+exports.snapshot = (doc, fields) => {
+  const plain = toPlain(doc) || {};
+  return fields.reduce((picked, field) => {
+    picked[field] = plain[field] ?? null;
+    return picked;
+  }, {});
+};
+
+// Fields whose values differ between two snapshots
+exports.diff = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return fields
+    .filter(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null))
+    .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+};
+
+// Write an audit entry for the current staff user. A failure is logged but
+// never breaks the action being audited.
+exports.recordAudit = async (req, { action, targetType, target, targetLabel, before, after, metadata }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      actorName: req.user.name,
+      actorEmail: req.user.email,
+      actorRole: req.user.role || (req.user.isAdmin ? 'owner' : undefined),
+      action,
+      targetType,
+      targetId: target?._id || target,
+      targetLabel,
+      changes: exports.diff(before, after),
+      metadata,
+      ip: clientIp(req),
+      userAgent: req.get('user-agent'),
+    });
+  } catch (error) {
+    console.error(`Error writing audit log for ${action}:`, error);
+  }
+};
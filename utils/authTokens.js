@@ -0,0 +1,179 @@
+// utils/authTokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Tabs sharing a token can race to refresh; the loser's retry within this window is not "reuse"
+const REFRESH_REUSE_GRACE_MS = (Number(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30) * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Short label for the sessions list, e.g. "Chrome on Android"
+const describeDevice = (userAgent = '') => {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']]
+    .find(([marker]) => userAgent.includes(marker));
+  const os = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([marker]) => userAgent.includes(marker));
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[1], os && `on ${os[1]}`].filter(Boolean).join(' ');
+};
+
+// Resolved by Express from the trusted proxy hop ('trust proxy' in server.js);
+// raw X-Forwarded-For is client-controlled and never read directly
+exports.clientIp = req => req.ip;
+
+// Access tokens name their session so revoking it takes effect immediately
+exports.signAccessToken = (user, session) =>
+  jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Short-lived proof that the password step of a 2FA login succeeded.
+// The `purpose` claim keeps it from being accepted as an access token.
+exports.signTwoFactorChallenge = user =>
+  jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+exports.verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa') throw new Error('Invalid challenge token');
+  return decoded;
+};
+
+// Signed tracking link for a guest order; the token is the guest's only credential
+exports.signGuestOrderToken = order =>
+  jwt.sign({ oid: order._id, purpose: 'guest-order' }, process.env.JWT_SECRET, { expiresIn: process.env.GUEST_ORDER_LINK_TTL || '180d' });
+
+// Returns the order id, or null when the token is invalid or for another order
+exports.verifyGuestOrderToken = (token, orderId) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    if (decoded.purpose !== 'guest-order' || (orderId && decoded.oid !== String(orderId))) return null;
+    return decoded.oid;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Emailed to a new account's address when guest orders were placed with it;
+// opening it proves the account holder owns that inbox
+exports.signGuestClaimToken = user =>
+  jwt.sign({ uid: user._id, email: user.email.trim().toLowerCase(), purpose: 'guest-claim' }, process.env.JWT_SECRET, { expiresIn: '7d' });
+
+// Returns { uid, email }, or null when the token is invalid
+exports.verifyGuestClaimToken = token => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'guest-claim' ? { uid: decoded.uid, email: decoded.email } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Start a session for this device and hand back an access/refresh token pair
+exports.createSession = async (user, req) => {
+  if (user.isSuspended) throw sessionError('Your account has been suspended', 403);
+
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const userAgent = req.get('user-agent') || '';
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: exports.clientIp(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return { session, token: exports.signAccessToken(user, session), refreshToken };
+};
+
+// Swap a refresh token for a new pair. The swap is conditional on the token
+// still being current, so two concurrent refreshes cannot both win. Presenting
+// an already rotated token after the grace window means it leaked, and the
+// whole session is revoked.
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const hash = hashToken(String(refreshToken));
+  const session = await Session.findOne({ refreshTokenHash: hash }).populate('user');
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: hash, revokedAt: null });
+    if (reused && reused.rotatedAt && Date.now() - reused.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS) {
+      throw sessionError('Refresh token was already rotated', 409);
+    }
+    if (reused) {
+      await exports.revokeSessions({ _id: reused._id }, 'refresh token reuse', req.app.get('io'));
+      console.warn(`Refresh token reuse detected for session ${reused._id}`);
+    }
+    throw sessionError('Invalid refresh token');
+  }
+  if (!session.isActive() || !session.user) throw sessionError('Session expired, please log in again');
+  if (session.user.isSuspended) throw sessionError('Your account has been suspended', 403);
+
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        previousTokenHash: hash,
+        refreshTokenHash: hashToken(nextToken),
+        rotatedAt: now,
+        lastUsedAt: now,
+        ip: exports.clientIp(req),
+      },
+    },
+    { new: true }
+  );
+  // Another request rotated this token between our read and write
+  if (!rotated) throw sessionError('Refresh token was already rotated', 409);
+
+  return { token: exports.signAccessToken(session.user, rotated), refreshToken: nextToken };
+};
+
+// Revoke matching sessions and drop any sockets opened with them
+exports.revokeSessions = async (filter, reason, io) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (!sessions.length) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(s => s._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  if (io) sessions.forEach(s => io.in(`session_${s._id}`).disconnectSockets(true));
+  return sessions.length;
+};
+
+// Shared by the HTTP auth middleware and the Socket.IO handshake. Returns the
+// user, or throws a 401/403 error with a client-facing message.
+exports.authenticateAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Purpose tokens (e.g. 2FA challenges) and pre-session tokens are not accepted
+  if (decoded.purpose || !decoded.sid) throw sessionError('Invalid token');
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.id),
+    Session.findOne({ _id: decoded.sid, user: decoded.id }).select('revokedAt expiresAt'),
+  ]);
+  if (!user) throw sessionError('Invalid token');
+  if (!session || !session.isActive()) throw sessionError('Session has been signed out');
+  if (user.changedPasswordAfter(decoded.iat)) throw sessionError('Password changed, please log in again');
+  if (user.isSuspended) throw sessionError('Your account has been suspended', 403);
+
+  return { user, sessionId: decoded.sid };
+};
+
+// Login response shared by every sign-in path: a challenge when 2FA is on
+exports.loginResponse = async (user, req) => {
+  if (user.is2FAEnabled && user.twoFactorSecret) {
+    return { requires2FA: true, challengeToken: exports.signTwoFactorChallenge(user) };
+  }
+  const { token, refreshToken } = await exports.createSession(user, req);
+  return { user, token, refreshToken };
+};
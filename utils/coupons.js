@@ -0,0 +1,80 @@
+// utils/coupons.js
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const User = require('../models/User');
+
+const couponError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Validate a code against a populated cart and work out the discount.
+// Throws a 400 error with a customer-facing message when the code cannot be used.
+exports.evaluateCoupon = async (code, { userId, email, items, subtotal }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) throw couponError('Invalid coupon code');
+  if (coupon.startsAt && coupon.startsAt > now) throw couponError('This coupon is not active yet');
+  if (coupon.expiresAt && coupon.expiresAt < now) throw couponError('This coupon has expired');
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+  if (subtotal < coupon.minSubtotal) {
+    throw couponError(`A minimum subtotal of ₦${coupon.minSubtotal.toLocaleString()} is required for this coupon`);
+  }
+
+  // A customer's uses count across their account and guest checkouts with its
+  // email, so switching between the two does not reset the limit
+  const contact = email ? String(email).trim().toLowerCase() : '';
+  const customers = [];
+  if (userId) customers.push({ user: userId });
+  if (contact) {
+    customers.push({ 'guest.email': contact });
+    const account = userId ? null : await User.findOne({ email: contact }).collation({ locale: 'en', strength: 2 }).select('_id');
+    if (account) customers.push({ user: account._id });
+  }
+  const used = customers.length
+    ? await Order.countDocuments({ $or: customers, 'coupon.code': coupon.code, status: { $ne: 'Cancelled' } })
+    : 0; // Guest quotes before an email is entered
+  if (used >= coupon.perUserLimit) throw couponError('You have already used this coupon');
+
+  // Only lines matching the coupon's product/category scope are discounted
+  const scoped = coupon.products.length > 0 || coupon.categories.length > 0;
+  const eligibleSubtotal = items.reduce((sum, item) => {
+    const product = item.product;
+    const matches = !scoped
+      || coupon.products.some(id => id.equals(product._id))
+      || coupon.categories.some(id => id.equals(product.category?._id || product.category));
+    return matches ? sum + item.price * item.quantity : sum;
+  }, 0);
+  if (scoped && eligibleSubtotal === 0) throw couponError('This coupon does not apply to any item in your cart');
+
+  let discount = coupon.type === 'percentage'
+    ? Math.round(eligibleSubtotal * coupon.value / 100)
+    : coupon.value;
+  if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  discount = Math.min(discount, eligibleSubtotal);
+
+  return { coupon, discount, freeDelivery: coupon.freeDelivery };
+};
+
+// Count a redemption, guarding the global usage limit atomically
+exports.redeemCoupon = async (coupon) => {
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit) filter.usedCount = { $lt: coupon.usageLimit };
+  const updated = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true });
+  if (!updated) throw couponError('This coupon has reached its usage limit');
+  return updated;
+};
+
+exports.releaseCoupon = async (coupon) => {
+  await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+// Give back the redemption of a cancelled order; orders keep only the code
+exports.releaseOrderCoupon = async (order) => {
+  if (!order.coupon?.code) return;
+  await Coupon.updateOne({ code: order.coupon.code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
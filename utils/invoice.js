@@ -0,0 +1,176 @@
+// utils/invoice.js
+// Invoice / receipt layout for orders. Orders need `items.product`, `user`
+// and `addressId` populated; prices come from the order, not the catalogue.
+const { renderPdf, fitText, PAGE_WIDTH } = require('./pdf');
+
+const BRAND = '#FF7A2F';
+const INK = '#1F2937';
+const MUTED = '#6B7280';
+const RULE = '#E5E7EB';
+
+const LEFT = 50;
+const RIGHT = PAGE_WIDTH - 50;
+const PAGE_BOTTOM = 760;
+const ROW_HEIGHT = 18;
+
+const money = value => `NGN ${Number(value || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDate = date => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const PAYMENT_STATUS_LABELS = {
+  pending: 'Awaiting payment',
+  completed: 'Paid',
+  failed: 'Payment failed',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded',
+};
+
+const customerLines = order => {
+  const customer = order.user && order.user.name ? order.user : order.guest || {};
+  return [customer.name, customer.email, customer.phone].filter(Boolean);
+};
+
+const addressLines = order => {
+  const address = order.addressId && order.addressId.street ? order.addressId : order.shippingAddress || {};
+  return [
+    address.street,
+    [address.city, address.state].filter(Boolean).join(', '),
+    [address.country, address.postalCode].filter(Boolean).join(' '),
+    address.phone,
+  ].filter(Boolean);
+};
+
+const paymentReference = order => {
+  if (order.paymentMethod === 'Bank Transfer') return order.transferCode;
+  return order.paymentReference;
+};
+
+const variantLabel = item => {
+  const options = item.variantOptions instanceof Map ? Object.fromEntries(item.variantOptions) : item.variantOptions || {};
+  return Object.entries(options).map(([name, value]) => `${name}: ${value}`).join(', ');
+};
+
+const tableHeader = y => [
+  { rect: [LEFT, y - 13, RIGHT - LEFT, 20], color: '#F3F4F6' },
+  { text: 'Item', x: LEFT + 8, y, size: 9, bold: true, color: MUTED },
+  { text: 'Qty', x: 370, y, size: 9, bold: true, color: MUTED, align: 'right' },
+  { text: 'Unit price', x: 460, y, size: 9, bold: true, color: MUTED, align: 'right' },
+  { text: 'Amount', x: RIGHT - 8, y, size: 9, bold: true, color: MUTED, align: 'right' },
+];
+
+// Pages for one order; long orders continue the item table on further pages
+exports.invoicePages = order => {
+  const paid = order.isPaid ? order.isPaid() : order.paymentStatus !== 'pending';
+  const title = paid ? 'RECEIPT' : 'INVOICE';
+  const pages = [];
+  let ops = [];
+
+  ops.push(
+    { rect: [0, 0, PAGE_WIDTH, 90], color: BRAND },
+    { text: 'PULSE PARCEL', x: LEFT, y: 50, size: 22, bold: true, color: '#FFFFFF' },
+    { text: title, x: RIGHT, y: 46, size: 16, bold: true, color: '#FFFFFF', align: 'right' },
+    { text: `Order ${order.orderNumber}`, x: RIGHT, y: 66, size: 10, color: '#FFFFFF', align: 'right' },
+  );
+
+  // Customer and delivery details side by side
+  let y = 125;
+  ops.push({ text: 'Billed to', x: LEFT, y, size: 9, bold: true, color: MUTED });
+  ops.push({ text: 'Deliver to', x: 320, y, size: 9, bold: true, color: MUTED });
+  customerLines(order).forEach((line, index) => {
+    ops.push({ text: fitText(line, 10, 250), x: LEFT, y: y + 16 + index * 14, size: 10, color: INK });
+  });
+  addressLines(order).forEach((line, index) => {
+    ops.push({ text: fitText(line, 10, RIGHT - 320), x: 320, y: y + 16 + index * 14, size: 10, color: INK });
+  });
+
+  y = 215;
+  const details = [
+    ['Order date', formatDate(order.createdAt)],
+    ['Payment method', order.paymentMethod],
+    ['Payment reference', paymentReference(order) || '-'],
+    ['Payment status', PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus],
+  ];
+  details.forEach(([label, value], index) => {
+    const column = index % 2 ? 320 : LEFT;
+    const row = y + Math.floor(index / 2) * 30;
+    ops.push({ text: label, x: column, y: row, size: 9, bold: true, color: MUTED });
+    ops.push({ text: fitText(value, 10, 220), x: column, y: row + 14, size: 10, color: INK });
+  });
+
+  y = 300;
+  ops.push(...tableHeader(y));
+  y += 24;
+
+  order.items.forEach(item => {
+    const variant = variantLabel(item);
+    const height = variant ? ROW_HEIGHT + 12 : ROW_HEIGHT;
+    if (y + height > PAGE_BOTTOM) {
+      pages.push(ops);
+      ops = [
+        { text: `${title} ${order.orderNumber} (continued)`, x: LEFT, y: 60, size: 12, bold: true, color: INK },
+        ...tableHeader(95),
+      ];
+      y = 119;
+    }
+
+    const name = item.product?.name || item.sku || 'Item';
+    ops.push(
+      { text: fitText(name, 10, 270), x: LEFT + 8, y, size: 10, color: INK },
+      { text: String(item.quantity), x: 370, y, size: 10, color: INK, align: 'right' },
+      { text: money(item.price), x: 460, y, size: 10, color: INK, align: 'right' },
+      { text: money(item.price * item.quantity), x: RIGHT - 8, y, size: 10, color: INK, align: 'right' },
+    );
+    if (variant) ops.push({ text: fitText(variant, 8, 270), x: LEFT + 8, y: y + 12, size: 8, color: MUTED });
+    ops.push({ line: [LEFT, y + height - 11, RIGHT, y + height - 11], color: RULE });
+    y += height;
+  });
+
+  // Totals block, kept together on one page
+  const totals = [['Subtotal', money(order.subtotal)]];
+  if (order.discount) totals.push([order.coupon?.code ? `Discount (${order.coupon.code})` : 'Discount', `-${money(order.discount)}`]);
+  totals.push(['Delivery', order.deliveryFee ? money(order.deliveryFee) : 'Free']);
+
+  // Refunds come after the total so the invoiced amount stays as charged.
+  // Bank transfers can arrive over the total, and that is what was paid.
+  const received = order.paymentMethod === 'Bank Transfer' ? Math.max(order.total, order.amountReceived || 0) : order.total;
+  const refunds = order.amountRefunded
+    ? [['Refunded', `-${money(order.amountRefunded)}`], ['Net paid', money(Math.max(0, received - order.amountRefunded))]]
+    : [];
+
+  if (y + (totals.length + refunds.length + 2) * ROW_HEIGHT > PAGE_BOTTOM) {
+    pages.push(ops);
+    ops = [{ text: `${title} ${order.orderNumber} (continued)`, x: LEFT, y: 60, size: 12, bold: true, color: INK }];
+    y = 95;
+  }
+  y += 8;
+  totals.forEach(([label, value]) => {
+    ops.push({ text: label, x: 460, y, size: 10, color: MUTED, align: 'right' });
+    ops.push({ text: value, x: RIGHT - 8, y, size: 10, color: INK, align: 'right' });
+    y += ROW_HEIGHT;
+  });
+  ops.push({ line: [330, y - 10, RIGHT, y - 10], color: RULE });
+  ops.push({ text: 'Total', x: 460, y: y + 6, size: 12, bold: true, color: INK, align: 'right' });
+  ops.push({ text: money(order.total), x: RIGHT - 8, y: y + 6, size: 12, bold: true, color: BRAND, align: 'right' });
+  y += 6 + ROW_HEIGHT + 4;
+  refunds.forEach(([label, value], index) => {
+    const last = index === refunds.length - 1;
+    ops.push({ text: label, x: 460, y, size: 10, bold: last, color: last ? INK : MUTED, align: 'right' });
+    ops.push({ text: value, x: RIGHT - 8, y, size: 10, bold: last, color: INK, align: 'right' });
+    y += ROW_HEIGHT;
+  });
+
+  pages.push(ops);
+  pages.forEach((page, index) => {
+    page.push(
+      { line: [LEFT, 790, RIGHT, 790], color: RULE },
+      { text: 'Thank you for shopping with Pulse Parcel.', x: LEFT, y: 806, size: 8, color: MUTED },
+      { text: `${order.orderNumber} - page ${index + 1} of ${pages.length}`, x: RIGHT, y: 806, size: 8, color: MUTED, align: 'right' },
+    );
+  });
+  return pages;
+};
+
+// One PDF holding the invoices for every order given, each starting on a new page
+exports.renderInvoices = (orders, { title } = {}) => renderPdf(
+  orders.flatMap(order => exports.invoicePages(order)),
+  { title: title || (orders.length === 1 ? `Invoice ${orders[0].orderNumber}` : 'Invoices') }
+);
@@ -0,0 +1,55 @@
+// utils/mailer.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// MAIL_TRANSPORT picks where mail goes:
+//   smtp    - real delivery via SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file    - .eml files written to MAIL_DIR (default: a folder in the OS temp dir) for local testing
+//   console - recipient and subject logged to stdout (default outside production)
+// Message bodies carry reset and tracking links, so they are never logged, and
+// production refuses to start without an explicit transport.
+if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+  throw new Error('MAIL_TRANSPORT must be set in production');
+}
+const transportName = process.env.MAIL_TRANSPORT || 'console';
+const from = process.env.MAIL_FROM || 'Pulse Parcel <no-reply@pulse-parcel.com>';
+
+const createTransport = () => {
+  if (transportName === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: Number(process.env.SMTP_PORT) === 465,
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+    });
+  }
+  if (transportName === 'file') {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+const transport = createTransport();
+
+// For customer-supplied text (names, notes) placed in an html body
+exports.escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+exports.sendMail = async ({ to, subject, text, html }) => {
+  const info = await transport.sendMail({ from, to, subject, text, html });
+
+  if (transportName === 'file') {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'pulse-parcel-mail');
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${String(to).replace(/[^a-z0-9@.]/gi, '_')}.eml`);
+    await fs.writeFile(file, info.message);
+    console.log(`[MAIL] Written to ${file}`);
+  } else if (transportName !== 'smtp') {
+    console.log(`[MAIL] To: ${to} | Subject: ${subject} (body not logged; use MAIL_TRANSPORT=file to read it)`);
+  }
+
+  return info;
+};
@@ -0,0 +1,70 @@
+// utils/orderNumber.js
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+
+// ORDER_NUMBER_FORMAT tokens:
+//   {YYYY} / {YY} / {MM} - date of the order, so the sequence restarts each year/month
+//   {seq:N}              - the sequence, zero-padded to N digits (required, once)
+// e.g. "PP-{YYYY}-{seq:6}" -> PP-2026-000123. The default keeps the original ORD-000123 numbers.
+const DEFAULT_FORMAT = 'ORD-{seq:6}';
+const SEQ_TOKEN = /\{seq(?::(\d+))?\}/;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const orderNumberFormat = () => {
+  const format = process.env.ORDER_NUMBER_FORMAT || DEFAULT_FORMAT;
+  if (!SEQ_TOKEN.test(format)) throw new Error('ORDER_NUMBER_FORMAT must contain a {seq} token');
+  return format;
+};
+
+// Fill in the date tokens; what remains around {seq} identifies the counter
+const applyDate = (format, date) => {
+  const pad = value => String(value).padStart(2, '0');
+  return format
+    .replace(/\{YYYY\}/g, date.getFullYear())
+    .replace(/\{YY\}/g, pad(date.getFullYear() % 100))
+    .replace(/\{MM\}/g, pad(date.getMonth() + 1));
+};
+
+const describe = (date = new Date(), format = orderNumberFormat()) => {
+  const template = applyDate(format, date);
+  const token = template.match(SEQ_TOKEN);
+  const width = Number(token[1] || 1);
+  const before = template.slice(0, token.index);
+  const after = template.slice(token.index + token[0].length);
+  return {
+    key: `order:${before}{seq}${after}`,
+    format: seq => `${before}${String(seq).padStart(width, '0')}${after}`,
+    pattern: new RegExp(`^${escapeRegex(before)}(\\d+)${escapeRegex(after)}$`),
+  };
+};
+
+// Highest sequence already issued under this pattern, so a new or reset counter
+// never hands out a number that exists (e.g. orders numbered before counters)
+const highestIssued = async pattern => {
+  const orders = await mongoose.model('Order').find({ orderNumber: pattern }).select('orderNumber').lean();
+  return orders.reduce((max, order) => Math.max(max, Number(order.orderNumber.match(pattern)[1])), 0);
+};
+
+// Raise a counter to at least `seq`; $max keeps this safe to run concurrently or twice
+const seedCounter = (key, seq) =>
+  Counter.updateOne({ _id: key }, { $max: { seq }, $set: { updatedAt: new Date() } }, { upsert: true });
+
+exports.nextOrderNumber = async (date = new Date()) => {
+  const { key, format, pattern } = describe(date);
+
+  if (!(await Counter.exists({ _id: key }))) {
+    await seedCounter(key, await highestIssued(pattern));
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 }, $set: { updatedAt: new Date() } },
+    { new: true, upsert: true }
+  );
+  return format(counter.seq);
+};
+
+exports.describeOrderNumber = describe;
+exports.highestIssued = highestIssued;
+exports.seedCounter = seedCounter;
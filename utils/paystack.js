@@ -0,0 +1,156 @@
+// utils/paystack.js
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentMethod = require('../models/PaymentMethod');
+
+// Overridable so verification and webhooks can be exercised against a local stub
+const PAYSTACK_BASE_URL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+
+const paystack = axios.create({ baseURL: PAYSTACK_BASE_URL });
+paystack.interceptors.request.use(config => {
+  config.headers.Authorization = `Bearer ${process.env.PAYSTACK_SECRET_KEY}`;
+  return config;
+});
+
+exports.paystack = paystack;
+
+// Keep a reusable Paystack authorization as a saved card. Only display
+// metadata is stored alongside the token; a card seen before is updated.
+exports.saveCardAuthorization = async (userId, transaction) => {
+  const authorization = transaction.authorization || {};
+  if (!authorization.reusable || !authorization.authorization_code) return null;
+
+  const filter = authorization.signature
+    ? { user: userId, type: 'card', signature: authorization.signature }
+    : { user: userId, type: 'card', authorizationCode: authorization.authorization_code };
+  const hasDefault = await PaymentMethod.exists({ user: userId, isDefault: true });
+
+  return PaymentMethod.findOneAndUpdate(filter, {
+    $set: {
+      authorizationCode: authorization.authorization_code,
+      signature: authorization.signature,
+      email: transaction.customer?.email,
+      last4: authorization.last4,
+      brand: authorization.card_type?.trim(),
+      bank: authorization.bank,
+      expMonth: authorization.exp_month,
+      expYear: authorization.exp_year,
+    },
+    $setOnInsert: { isDefault: !hasDefault },
+  }, { upsert: true, new: true, runValidators: true });
+};
+
+// Gateway-bound methods whose payment state comes from Paystack
+exports.PAYSTACK_METHODS = ['Paystack', 'Card Payment'];
+
+// References are minted here and stored on the order before the customer pays,
+// so anything else reported back to us can be rejected
+exports.newReference = order => `${order.orderNumber}-${Date.now()}`;
+
+// Start a hosted checkout for an order. The reference is saved on the order
+// before the authorization URL is handed to the browser.
+exports.initializeTransaction = async (order, { email, callbackUrl }) => {
+  const reference = exports.newReference(order);
+  const response = await paystack.post('/transaction/initialize', {
+    email,
+    amount: Math.round(order.total * 100), // NGN to kobo
+    currency: 'NGN',
+    reference,
+    callback_url: callbackUrl,
+    metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber },
+  });
+  const { authorization_url: authorizationUrl, access_code: accessCode } = response.data.data;
+
+  order.paymentReference = reference;
+  order.paystackCheckout = { authorizationUrl, accessCode, amount: order.total, initializedAt: new Date() };
+  await order.save();
+  return { reference, authorizationUrl, accessCode };
+};
+
+// Ask Paystack to refund part or all of a charge. Resolves to the refund,
+// which is usually still pending; `refund.processed` confirms it later.
+exports.createRefund = async ({ transactionReference, amount, note }) => {
+  const response = await paystack.post('/refund', {
+    transaction: transactionReference,
+    amount: Math.round(amount * 100), // NGN to kobo
+    currency: 'NGN',
+    merchant_note: note,
+  });
+  return response.data.data;
+};
+
+// Charge a saved card without the customer re-entering it. Resolves to the
+// transaction (status 'success', 'failed' or still pending).
+exports.chargeAuthorization = async ({ authorizationCode, email, amount, reference, metadata }) => {
+  const response = await paystack.post('/transaction/charge_authorization', {
+    authorization_code: authorizationCode,
+    email,
+    amount: Math.round(amount * 100), // NGN to kobo
+    reference,
+    metadata,
+  });
+  return response.data.data;
+};
+
+// Paystack signs the raw request body with HMAC-SHA512 using the secret key
+exports.isValidSignature = (rawBody, signature) => {
+  if (!rawBody || !signature) return false;
+  const expected = crypto
+    .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+    .update(rawBody)
+    .digest('hex');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Apply a Paystack transaction result to an order. Shared by the browser
+// verification call and the webhook so both leave the order in the same state.
+// Returns 'success', 'unknown_reference', 'amount_mismatch' or 'failed'.
+exports.applyCharge = async (order, reference, transaction) => {
+  // Only the reference we issued for this order may settle it
+  if (!reference || order.paymentReference !== reference) {
+    console.log('Rejected unknown Paystack reference:', { reference, orderNumber: order.orderNumber });
+    return 'unknown_reference';
+  }
+  if (order.isPaid()) {
+    return 'success';
+  }
+
+  if (transaction.status !== 'success') {
+    order.paymentStatus = 'failed';
+    order.paymentReference = reference;
+    await order.save();
+    return 'failed';
+  }
+
+  // Compare in kobo so fractional naira totals do not trip float equality
+  if (transaction.amount !== Math.round(order.total * 100) || (transaction.currency && transaction.currency !== 'NGN')) {
+    console.log('Payment amount mismatch:', { paidAmount: transaction.amount / 100, currency: transaction.currency, orderTotal: order.total });
+    order.paymentStatus = 'failed';
+    order.paymentReference = reference;
+    await order.save();
+    return 'amount_mismatch';
+  }
+
+  order.paymentStatus = 'completed';
+  order.paymentReference = reference;
+  if (order.status === 'Cancelled') {
+    // Paid after cancelling: stock and coupon are already released, so the money goes back
+    order.refundPending = true;
+    console.log('Payment received for cancelled order, flagged for refund:', order.orderNumber);
+  } else {
+    order.tracking.push({ status: 'Payment Confirmed', date: new Date() });
+  }
+  await order.save();
+
+  // A failure here must not undo a confirmed payment
+  if (order.saveCard && order.user) {
+    try {
+      await exports.saveCardAuthorization(order.user._id || order.user, transaction);
+    } catch (error) {
+      console.error('Error saving card authorization:', error);
+    }
+  }
+  return 'success';
+};
@@ -0,0 +1,107 @@
+// utils/pdf.js
+// Minimal PDF writer for generated documents: text, lines and filled boxes on
+// A4 pages using the built-in Helvetica fonts, so no font files are embedded.
+// Coordinates are in points from the top-left corner of the page.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Glyph widths (1/1000 em) for ASCII 32-126 from the standard Helvetica metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// The standard fonts only cover Latin-1 here; anything else prints as '?'
+const toLatin1 = value => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const escape = text => toLatin1(text).replace(/[\\()]/g, char => `\\${char}`);
+
+const hexColor = hex => {
+  const value = parseInt(String(hex || '#000000').replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => (c / 255).toFixed(3)).join(' ');
+};
+
+exports.PAGE_WIDTH = PAGE_WIDTH;
+exports.PAGE_HEIGHT = PAGE_HEIGHT;
+
+exports.textWidth = (text, size, bold = false) => {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  return [...toLatin1(text)].reduce((sum, char) => sum + (widths[char.charCodeAt(0) - 32] || 556), 0) * size / 1000;
+};
+
+// Shorten text with an ellipsis until it fits the given width
+exports.fitText = (text, size, maxWidth, bold = false) => {
+  let fitted = toLatin1(text);
+  if (exports.textWidth(fitted, size, bold) <= maxWidth) return fitted;
+  while (fitted.length && exports.textWidth(`${fitted}...`, size, bold) > maxWidth) fitted = fitted.slice(0, -1);
+  return `${fitted.trimEnd()}...`;
+};
+
+// Drawing operations for one page:
+//   { text, x, y, size, bold, color, align: 'left' | 'right' }
+//   { line: [x1, y1, x2, y2], width, color }
+//   { rect: [x, y, width, height], color }
+const drawPage = ops => ops.map(op => {
+  if (op.rect) {
+    const [x, y, width, height] = op.rect;
+    return `${hexColor(op.color)} rg ${x.toFixed(2)} ${(PAGE_HEIGHT - y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`;
+  }
+  if (op.line) {
+    const [x1, y1, x2, y2] = op.line;
+    return `${hexColor(op.color)} RG ${op.width || 0.5} w ${x1.toFixed(2)} ${(PAGE_HEIGHT - y1).toFixed(2)} m ${x2.toFixed(2)} ${(PAGE_HEIGHT - y2).toFixed(2)} l S`;
+  }
+  const size = op.size || 10;
+  const x = op.align === 'right' ? op.x - exports.textWidth(op.text, size, op.bold) : op.x;
+  return `BT /${op.bold ? 'F2' : 'F1'} ${size} Tf ${hexColor(op.color)} rg ${x.toFixed(2)} ${(PAGE_HEIGHT - op.y).toFixed(2)} Td (${escape(op.text)}) Tj ET`;
+}).join('\n');
+
+// Build a PDF from a list of pages, each a list of drawing operations
+exports.renderPdf = (pages, { title } = {}) => {
+  const objects = [];
+  const add = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const info = add(`<< /Producer (Pulse Parcel) /Title (${escape(title || 'Document')}) >>`);
+
+  const pageIds = pages.map(ops => {
+    const content = Buffer.from(drawPage(ops), 'latin1');
+    const stream = add(`<< /Length ${content.length} >>\nstream\n${content.toString('latin1')}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Byte offsets of every object go in the cross-reference table
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
@@ -0,0 +1,50 @@
+// utils/permissions.js
+// Staff permissions and the roles that bundle them. Staff accounts are users
+// with `isAdmin` set; `role` picks which of these they actually get.
+const PERMISSIONS = {
+  'dashboard:view': 'Open the admin dashboard and sales metrics',
+  'orders:read': 'View every customer order',
+  'orders:update': 'Change order status and verify payments',
+  'orders:export': 'Export orders as CSV',
+  'orders:refund': 'Issue full and partial refunds on paid orders',
+  'payments:reconcile': 'Manage receiving bank accounts and reconcile bank transfers',
+  'returns:manage': 'Approve or reject return requests',
+  'customers:read': 'View customer accounts',
+  'customers:manage': 'Suspend and reinstate customers',
+  'customers:export': 'Export customer lists',
+  'customers:broadcast': 'Send broadcast messages to customers',
+  'products:manage': 'Create, edit and delete products',
+  'categories:manage': 'Create, edit and delete categories',
+  'reviews:moderate': 'Hide and restore product reviews',
+  'chat:manage': 'Answer customer support chats',
+  'coupons:manage': 'Manage coupon codes',
+  'shipping:manage': 'Manage shipping zones and fees',
+  'ads:manage': 'View ad metrics and campaigns',
+  'notifications:send': 'Send promotional notifications',
+  'analytics:view': 'View visitor, location and cart analytics',
+  'staff:manage': 'Add staff and change their roles',
+  'audit:read': 'View and export the admin audit log',
+};
+
+const ROLES = {
+  owner: Object.keys(PERMISSIONS),
+  order_manager: [
+    'dashboard:view', 'orders:read', 'orders:update', 'orders:export', 'orders:refund', 'payments:reconcile',
+    'returns:manage', 'customers:read', 'shipping:manage',
+  ],
+  catalog_editor: ['dashboard:view', 'products:manage', 'categories:manage', 'reviews:moderate'],
+  support: ['dashboard:view', 'chat:manage', 'orders:read', 'returns:manage', 'customers:read', 'reviews:moderate'],
+  marketing: [
+    'dashboard:view', 'coupons:manage', 'ads:manage', 'notifications:send',
+    'customers:read', 'customers:export', 'customers:broadcast', 'analytics:view',
+  ],
+};
+
+exports.PERMISSIONS = PERMISSIONS;
+exports.ROLES = ROLES;
+
+exports.permissionsFor = role => ROLES[role] || [];
+
+// Socket.IO room for staff holding a permission; live events go to the room
+// matching the permission that guards the same data over HTTP
+exports.staffRoom = permission => `staff:${permission}`;
@@ -0,0 +1,73 @@
+// utils/push.js
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+
+exports.isPushConfigured = () => !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+// Send to every subscription the user has, unless they turned this category off.
+// Subscriptions the push service reports as gone (404/410) are deleted.
+// Never throws; a failed push must not fail the request that triggered it.
+exports.sendPushToUser = async (userId, payload, { category } = {}) => {
+  if (!userId || !exports.isPushConfigured()) return { sent: 0, pruned: 0 };
+  try {
+    const user = await User.findById(userId).select('notificationPreferences');
+    if (!user) return { sent: 0, pruned: 0 };
+    if (category && user.notificationPreferences?.push?.[category] === false) return { sent: 0, pruned: 0 };
+
+    const subscriptions = await PushSubscription.find({ userId });
+    const body = JSON.stringify(payload);
+    const results = await Promise.allSettled(
+      subscriptions.map(doc => webpush.sendNotification(doc.subscription, body))
+    );
+
+    const expired = [];
+    let sent = 0;
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') sent++;
+      else if ([404, 410].includes(result.reason?.statusCode)) expired.push(subscriptions[i]._id);
+      else console.error('Web push failed:', result.reason?.statusCode || result.reason?.message);
+    });
+    if (expired.length) await PushSubscription.deleteMany({ _id: { $in: expired } });
+
+    return { sent, pruned: expired.length };
+  } catch (error) {
+    console.error('Error sending web push:', error);
+    return { sent: 0, pruned: 0 };
+  }
+};
+
+const PAYMENT_MESSAGES = {
+  completed: 'Payment received, thank you!',
+  failed: 'We could not confirm your payment. Please check the order for details.',
+  partially_refunded: 'Part of your payment has been refunded.',
+  refunded: 'Your payment has been refunded.',
+};
+
+// Wording for an order event ('created', 'status' or 'payment'), shared with in-app notifications
+exports.orderMessage = (order, event) => {
+  const url = `/orders.html?order=${order._id}`;
+  if (event === 'payment') {
+    return {
+      title: `Order ${order.orderNumber}`,
+      body: PAYMENT_MESSAGES[order.paymentStatus] || `Payment status: ${order.paymentStatus}`,
+      url,
+      category: 'payments',
+    };
+  }
+  return {
+    title: `Order ${order.orderNumber}`,
+    body: event === 'created' ? 'We have received your order.' : `Your order is now ${order.status}.`,
+    url,
+    category: 'orders',
+  };
+};
+
+// Web push for an order event
+exports.notifyOrder = (order, event) => {
+  const userId = order.user?._id || order.user;
+  if (!userId) return Promise.resolve({ sent: 0, pruned: 0 }); // Guest orders are followed by email link
+
+  const { category, ...payload } = exports.orderMessage(order, event);
+  return exports.sendPushToUser(userId, payload, { category });
+};
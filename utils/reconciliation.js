@@ -0,0 +1,244 @@
+// utils/reconciliation.js
+// Bank statement parsing and matching of credits to Bank Transfer orders
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const BankAccount = require('../models/BankAccount');
+const BankTransaction = require('../models/BankTransaction');
+const { findTransferCodes } = require('./transferCode');
+
+// Header names seen on Nigerian bank exports, lower-cased
+const COLUMNS = {
+  date: ['date', 'transaction date', 'trans date', 'txn date', 'value date', 'posting date', 'tran date'],
+  credit: ['credit', 'credits', 'credit amount', 'cr', 'deposit', 'deposits', 'money in', 'lodgement'],
+  amount: ['amount', 'transaction amount', 'txn amount'],
+  type: ['type', 'dr/cr', 'cr/dr', 'transaction type', 'debit/credit'],
+  narration: ['narration', 'description', 'remarks', 'details', 'transaction details', 'memo', 'particulars'],
+  reference: ['reference', 'ref', 'ref no', 'reference number', 'transaction reference', 'transaction id', 'session id'],
+  balance: ['balance', 'running balance', 'closing balance', 'available balance', 'ledger balance'],
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const toKobo = value => Math.round(value * 100);
+
+// RFC 4180-ish: quoted fields may hold commas, quotes ("") and newlines
+const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// Statements are day-first (12/03/2026, 12-Mar-2026); ISO dates pass through
+const parseDate = value => {
+  const text = String(value || '').trim();
+  const dayFirst = text.match(/^(\d{1,2})[/.\- ](\d{1,2}|[A-Za-z]{3,})[/.\- ](\d{2,4})/);
+  if (dayFirst) {
+    const [, day, rawMonth, rawYear] = dayFirst;
+    const month = /^\d+$/.test(rawMonth) ? Number(rawMonth) - 1 : MONTHS.indexOf(rawMonth.slice(0, 3).toLowerCase());
+    const year = rawYear.length === 2 ? 2000 + Number(rawYear) : Number(rawYear);
+    if (month < 0 || month > 11) return null;
+    const date = new Date(Date.UTC(year, month, Number(day)));
+    return date.getUTCDate() === Number(day) ? date : null;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// "₦15,000.00", "(2,500.00)" and "-2500" all parse; blanks are null
+const parseAmount = value => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  const amount = Number(text.replace(/[^0-9.]/g, ''));
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+const findColumn = (header, names) => header.findIndex(cell => names.includes(cell.trim().toLowerCase()));
+
+// Credit lines from a statement CSV. The header row is the first row naming a
+// date and an amount column, so bank preambles above it are skipped. Debits
+// and rows that do not parse are counted, not returned. Each line carries its
+// occurrence among identical lines in the file, so two real transfers with the
+// same amount and narration on one day stay two transactions.
+exports.parseStatement = text => {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(row => findColumn(row, COLUMNS.date) >= 0
+    && (findColumn(row, COLUMNS.credit) >= 0 || findColumn(row, COLUMNS.amount) >= 0));
+  if (headerIndex < 0) {
+    const error = new Error('Could not find the date and amount columns in this statement');
+    error.status = 400;
+    throw error;
+  }
+
+  const header = rows[headerIndex];
+  const col = Object.fromEntries(Object.entries(COLUMNS).map(([key, names]) => [key, findColumn(header, names)]));
+  const lines = [];
+  const seen = new Map();
+  let skipped = 0;
+
+  rows.slice(headerIndex + 1).forEach(row => {
+    const cell = key => (col[key] >= 0 ? (row[col[key]] || '').trim() : '');
+    const date = parseDate(cell('date'));
+    let amount = col.credit >= 0 ? parseAmount(cell('credit')) : parseAmount(cell('amount'));
+    if (col.credit < 0 && /^(dr|debit|d)$/i.test(cell('type'))) amount = null;
+
+    if (!date || !amount || amount <= 0) {
+      skipped++;
+      return;
+    }
+    const line = { date, amount, narration: cell('narration'), reference: cell('reference'), balance: parseAmount(cell('balance')) };
+    const key = [date.toISOString(), toKobo(amount), line.narration, line.reference].join('|');
+    line.occurrence = seen.get(key) || 0;
+    seen.set(key, line.occurrence + 1);
+    lines.push(line);
+  });
+
+  return { lines, skipped };
+};
+
+// Same line, same print across overlapping statement exports. The running
+// balance tells identical lines apart when the bank includes it; otherwise
+// their position among the day's identical lines does.
+exports.fingerprint = (accountId, line) => {
+  const position = line.balance != null ? `bal:${toKobo(line.balance)}` : `occ:${line.occurrence || 0}`;
+  return crypto.createHash('sha256')
+    .update([accountId || '', line.date.toISOString(), toKobo(line.amount), line.narration, line.reference, position].join('|'))
+    .digest('hex');
+};
+
+// Credit a transfer to an order and settle it once the total is covered.
+// Returns true when this transfer moved the order to paid. The credit is
+// claimed and the order total moved with $inc, so a credit is counted once
+// and credits landing together are all counted.
+exports.applyTransfer = async (order, transaction, { matchedBy, reviewer } = {}) => {
+  const claim = { order: order._id, matchedBy };
+  if (reviewer) {
+    claim.reviewedBy = reviewer;
+    claim.reviewedAt = new Date();
+  }
+  const claimed = await BankTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'unmatched', matchedBy: null },
+    { $set: claim }
+  );
+  if (!claimed) {
+    const error = new Error('This transaction has already been placed on an order');
+    error.status = 409;
+    throw error;
+  }
+  transaction.set(claim);
+
+  const credited = await Order.findOneAndUpdate(
+    { _id: order._id },
+    { $inc: { amountReceived: transaction.amount } },
+    { new: true }
+  );
+  const received = toKobo(credited.amountReceived);
+  const before = received - toKobo(transaction.amount);
+  const due = toKobo(order.total);
+  const wasPaid = credited.isPaid();
+
+  // Only the credit that takes the running total past the amount due settles the order
+  let paid = false;
+  let settled = credited;
+  if (!wasPaid && before < due && received >= due) {
+    settled = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $nin: Order.PAID_STATUSES } },
+      { $set: { paymentStatus: 'completed' }, $push: { tracking: { status: 'Payment Confirmed', date: new Date() } } },
+      { new: true }
+    ) || credited;
+    paid = settled !== credited;
+  }
+
+  if (wasPaid || received > due) {
+    transaction.status = 'overpaid';
+    transaction.resolved = false;
+  } else if (received < due) {
+    transaction.status = 'partial';
+    transaction.resolved = false;
+  } else {
+    transaction.status = 'matched';
+    transaction.resolved = true;
+  }
+  await transaction.save();
+
+  // Callers report and broadcast the order they passed in
+  order.set({ amountReceived: settled.amountReceived, paymentStatus: settled.paymentStatus, tracking: settled.tracking });
+
+  // Earlier part payments are settled by the transfer that completed the order
+  if (paid && received === due) {
+    await BankTransaction.updateMany(
+      { order: order._id, status: 'partial', resolved: false },
+      { $set: { resolved: true } }
+    );
+  }
+  return paid;
+};
+
+// Tie a freshly imported credit to the order whose narration code it quotes.
+// Codes for cancelled or unknown orders leave the credit unmatched for review.
+exports.autoMatch = async transaction => {
+  const codes = findTransferCodes(transaction.narration);
+  if (!codes.length) return { order: null, paid: false };
+
+  const order = await Order.findOne({ transferCode: { $in: codes }, paymentMethod: 'Bank Transfer' });
+  if (!order) return { order: null, paid: false };
+  if (order.status === 'Cancelled') {
+    transaction.order = order._id;
+    transaction.note = 'Quotes the code of a cancelled order';
+    await transaction.save();
+    return { order: null, paid: false };
+  }
+
+  try {
+    const paid = await exports.applyTransfer(order, transaction, { matchedBy: 'auto' });
+    return { order, paid };
+  } catch (error) {
+    if (error.status === 409) return { order: null, paid: false }; // A reviewer placed it first
+    throw error;
+  }
+};
+
+// What a customer needs to pay an order by transfer
+exports.bankTransferInstructions = async order => {
+  const accounts = await BankAccount.find({ isActive: true }).select('bankName accountName accountNumber').sort({ createdAt: 1 });
+  return {
+    accounts,
+    transferCode: order.transferCode,
+    amountDue: Math.max(0, (toKobo(order.total) - toKobo(order.amountReceived || 0)) / 100),
+  };
+};
@@ -0,0 +1,181 @@
+// utils/refunds.js
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { createRefund, PAYSTACK_METHODS } = require('./paystack');
+
+const refundError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toKobo = value => Math.round(value * 100);
+const lineKey = item => `${item.product}:${item.variant || ''}`;
+
+// What the customer actually paid; bank transfers can arrive over the total
+const paidAmount = order => (order.paymentMethod === 'Bank Transfer'
+  ? Math.max(order.total, order.amountReceived || 0)
+  : order.total);
+
+// Pending refunds count against what is left so two staff cannot refund the same money
+const committedRefunds = async orderId => {
+  const refunds = await Refund.find({ order: orderId, status: { $in: ['pending', 'processed'] } });
+  const quantities = {};
+  let amount = 0;
+  refunds.forEach(refund => {
+    amount += toKobo(refund.amount);
+    refund.items.forEach(item => {
+      quantities[lineKey(item)] = (quantities[lineKey(item)] || 0) + item.quantity;
+    });
+  });
+  return { amount: amount / 100, quantities };
+};
+
+// Claim part of the paid amount for a refund in one conditional update, so
+// concurrent refunds cannot together pass what the customer paid
+const reserveRefund = async (order, amount) => {
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $round: [{ $add: [{ $ifNull: ['$refundCommitted', 0] }, amount] }, 2] }, paidAmount(order)] },
+    },
+    { $inc: { refundCommitted: amount } },
+    { new: true }
+  );
+  if (!reserved) throw refundError('Another refund on this order was just issued; reload and try again', 409);
+};
+
+// Give back a reservation whose refund failed or was never created
+exports.releaseRefund = (orderId, amount) => Order.updateOne({ _id: orderId }, { $inc: { refundCommitted: -amount } });
+
+exports.refundableAmount = async order => {
+  const committed = await committedRefunds(order._id);
+  return Math.max(0, (toKobo(paidAmount(order)) - toKobo(committed.amount)) / 100);
+};
+
+// Mark a refund processed and move the order to partially_refunded or refunded.
+// Order totals move with $inc so refunds landing together are all counted.
+exports.applyRefund = async (order, refund) => {
+  const processedAt = refund.processedAt || new Date();
+  if (refund.isNew) {
+    refund.status = 'processed';
+    refund.processedAt = processedAt;
+    await refund.save();
+  } else {
+    // The create path and the webhook can both report the same refund; one applies it
+    const update = { status: 'processed', processedAt };
+    if (refund.gatewayRefundId) update.gatewayRefundId = refund.gatewayRefundId;
+    const claimed = await Refund.findOneAndUpdate({ _id: refund._id, status: { $ne: 'processed' } }, { $set: update });
+    if (!claimed) return Refund.findById(refund._id);
+    refund.set(update);
+  }
+
+  const counted = await Order.findOneAndUpdate(
+    { _id: order._id },
+    { $inc: { amountRefunded: refund.amount }, $set: { refundPending: false } },
+    { new: true }
+  );
+  const paid = paidAmount(counted);
+  const fullyRefunded = toKobo(counted.amountRefunded) >= toKobo(paid);
+
+  // Derived from the stored total, so whichever refund finishes last sets it right
+  await Order.updateOne({ _id: order._id }, [{
+    $set: { paymentStatus: { $cond: [{ $gte: [{ $round: ['$amountRefunded', 2] }, paid] }, 'refunded', 'partially_refunded'] } },
+  }]);
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id },
+    {
+      $push: {
+        tracking: {
+          status: fullyRefunded ? 'Refund Processed' : 'Partial Refund Processed',
+          changedBy: refund.createdBy,
+          note: `₦${refund.amount.toLocaleString()}: ${refund.reason}`,
+          date: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+
+  // Callers report and broadcast the order they passed in
+  order.set({
+    amountRefunded: updated.amountRefunded,
+    paymentStatus: updated.paymentStatus,
+    refundPending: updated.refundPending,
+    tracking: updated.tracking,
+  });
+  return refund;
+};
+
+// Refund an order by line items or by amount. Paystack orders are refunded
+// through the gateway; anything else is recorded as a manual refund that has
+// already been paid out. Throws 400s for requests that cannot be honoured.
+exports.issueRefund = async (order, { amount, items, reason, reference, returnRequest, createdBy }) => {
+  if (!reason || !reason.trim()) throw refundError('A reason for the refund is required');
+  if (!order.isPaid()) throw refundError('Only paid orders can be refunded');
+  if (order.paymentStatus === 'refunded') throw refundError('Order has already been fully refunded');
+
+  const committed = await committedRefunds(order._id);
+  const remaining = (toKobo(paidAmount(order)) - toKobo(committed.amount)) / 100;
+
+  let lines = [];
+  if (Array.isArray(items) && items.length) {
+    lines = items.map(({ product, variant, quantity }) => {
+      const line = order.items.find(item => lineKey(item) === lineKey({ product, variant }));
+      if (!line) throw refundError('Item is not part of this order');
+      const qty = Number(quantity);
+      const left = line.quantity - (committed.quantities[lineKey(line)] || 0);
+      if (!Number.isInteger(qty) || qty < 1 || qty > left) {
+        throw refundError(`Only ${left} of this item can still be refunded`);
+      }
+      return { product: line.product, variant: line.variant, quantity: qty, amount: line.price * qty };
+    });
+  }
+
+  // Line prices ignore the order discount, so an explicit amount may override them
+  const requested = amount !== undefined && amount !== null && amount !== ''
+    ? Number(amount)
+    : lines.reduce((sum, line) => sum + line.amount, 0);
+  if (!Number.isFinite(requested) || requested <= 0) throw refundError('Refund amount or items are required');
+  if (toKobo(requested) > toKobo(remaining)) {
+    throw refundError(`At most ₦${remaining.toLocaleString()} can still be refunded on this order`);
+  }
+
+  const viaGateway = PAYSTACK_METHODS.includes(order.paymentMethod);
+  if (viaGateway && !order.paymentReference) throw refundError('Order has no Paystack payment to refund');
+
+  await reserveRefund(order, requested);
+  let refund;
+  try {
+    refund = await Refund.create({
+      order: order._id,
+      amount: requested,
+      items: lines,
+      reason: reason.trim(),
+      method: viaGateway ? 'paystack' : 'manual',
+      transactionReference: viaGateway ? order.paymentReference : undefined,
+      manualReference: viaGateway ? undefined : reference,
+      returnRequest,
+      createdBy,
+    });
+  } catch (error) {
+    await exports.releaseRefund(order._id, requested);
+    throw error;
+  }
+
+  if (!viaGateway) return exports.applyRefund(order, refund);
+
+  try {
+    const gatewayRefund = await createRefund({ transactionReference: order.paymentReference, amount: requested, note: refund.reason });
+    refund.gatewayRefundId = gatewayRefund.id !== undefined ? String(gatewayRefund.id) : undefined;
+    if (gatewayRefund.status === 'processed') return exports.applyRefund(order, refund);
+    await refund.save();
+  } catch (error) {
+    refund.status = 'failed';
+    refund.failureReason = error.response?.data?.message || error.message;
+    await refund.save();
+    await exports.releaseRefund(order._id, refund.amount);
+    console.error('Paystack refund failed:', order.orderNumber, refund.failureReason);
+  }
+  return refund;
+};
@@ -0,0 +1,45 @@
+// utils/shipping.js
+const ShippingZone = require('../models/ShippingZone');
+
+// Used when no zone has been configured for an address
+const DEFAULT_DELIVERY_FEE = 5000;
+
+const normalize = value => (value || '').trim().toLowerCase();
+
+// Most specific active zone for an address: city match, then state, then catch-all
+const findZone = async (address) => {
+  const zones = await ShippingZone.find({ isActive: true }).lean();
+  const state = normalize(address?.state);
+  const city = normalize(address?.city);
+
+  const inState = zone => zone.states.some(s => normalize(s) === state);
+  return zones.find(zone => inState(zone) && zone.cities.some(c => normalize(c) === city))
+    || zones.find(zone => inState(zone) && zone.cities.length === 0)
+    || zones.find(zone => zone.states.length === 0)
+    || null;
+};
+
+// Delivery fee for a set of lines going to an address. Lines need a populated
+// product (for weight); subtotal is passed in so discounts don't move the tier.
+exports.quoteDelivery = async ({ address, items, subtotal }) => {
+  const weight = items.reduce((sum, item) => sum + (item.product.weight || 0) * item.quantity, 0);
+  const zone = await findZone(address);
+
+  if (!zone) {
+    return { fee: DEFAULT_DELIVERY_FEE, zone: null, weight, freeShipping: false };
+  }
+
+  const summary = { _id: zone._id, name: zone.name };
+  if (zone.freeShippingThreshold && subtotal >= zone.freeShippingThreshold) {
+    return { fee: 0, zone: summary, weight, freeShipping: true };
+  }
+
+  const tier = zone.tiers.find(t => {
+    const value = t.basis === 'weight' ? weight : subtotal;
+    return value >= (t.min || 0) && (t.max === undefined || t.max === null || value < t.max);
+  });
+
+  return { fee: tier ? tier.fee : zone.baseFee, zone: summary, weight, freeShipping: false };
+};
+
+exports.DEFAULT_DELIVERY_FEE = DEFAULT_DELIVERY_FEE;
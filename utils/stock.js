@@ -0,0 +1,61 @@
+// utils/stock.js
+const Product = require('../models/Product');
+
+// Variant lines draw from the variant's stock and the product total together
+const stockFilter = (productId, variantId, quantity) => (variantId
+  ? { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } }
+  : { _id: productId, stock: { $gte: quantity } });
+
+const stockUpdate = (variantId, quantity) => (variantId
+  ? { $inc: { stock: quantity, 'variants.$.stock': quantity } }
+  : { $inc: { stock: quantity } });
+
+// Decrement stock for every order line. Each line is a conditional $inc so two
+// checkouts can never both take the last unit; if any line is short, the lines
+// already taken are put back and the shortages are returned instead.
+exports.reserveStock = async (items) => {
+  const reserved = [];
+  const shortages = [];
+
+  for (const item of items) {
+    const productId = item.product._id || item.product;
+    const updated = await Product.findOneAndUpdate(
+      stockFilter(productId, item.variant, item.quantity),
+      stockUpdate(item.variant, -item.quantity),
+      { new: true }
+    );
+
+    if (updated) {
+      reserved.push({ product: productId, variant: item.variant, quantity: item.quantity });
+      continue;
+    }
+
+    const product = await Product.findById(productId).select('name stock variants');
+    const variant = item.variant && product ? product.variants.id(item.variant) : null;
+    shortages.push({
+      product: productId,
+      variant: item.variant,
+      sku: variant ? variant.sku : undefined,
+      name: product ? product.name : 'Unavailable product',
+      requested: item.quantity,
+      available: variant ? variant.stock : (product && !item.variant ? product.stock : 0),
+    });
+  }
+
+  if (shortages.length) {
+    await exports.releaseStock(reserved);
+  }
+
+  return shortages;
+};
+
+// Put stock back for order lines, e.g. after a failed save or a cancellation
+exports.releaseStock = async (items) => {
+  await Promise.all(items.map(item => {
+    const productId = item.product._id || item.product;
+    return Product.updateOne(
+      item.variant ? { _id: productId, 'variants._id': item.variant } : { _id: productId },
+      stockUpdate(item.variant, item.quantity)
+    );
+  }));
+};
@@ -0,0 +1,67 @@
+// utils/totp.js
+// RFC 6238 time-based one-time passwords (30s step, 6 digits, SHA-1), the
+// format every authenticator app understands.
+const crypto = require('crypto');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+exports.generateToken = (secret, time = Date.now()) => hotp(base32Decode(secret), currentStep(time));
+
+// Returns the matching time step (to block replays) or null. Accepts one step
+// of clock drift either way.
+exports.verifyToken = (secret, token, { window = 1, time = Date.now() } = {}) => {
+  const code = String(token || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) return step + offset;
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps; the client renders it as a QR code
+exports.provisioningUri = (secret, accountName, issuer = 'Pulse Parcel') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
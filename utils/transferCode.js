@@ -0,0 +1,22 @@
+// utils/transferCode.js
+// Narration codes customers put on their bank transfer so a statement line
+// can be tied back to the order. No 0/O or 1/I, which get mistyped.
+const crypto = require('crypto');
+
+const PREFIX = 'PP';
+const ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const LENGTH = 6;
+const CODE_PATTERN = new RegExp(`${PREFIX}[${ALPHABET}]{${LENGTH}}`, 'g');
+
+exports.newTransferCode = () => {
+  let code = PREFIX;
+  for (let i = 0; i < LENGTH; i++) code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  return code;
+};
+
+// Candidate codes in a narration. Banks upper-case, truncate and split
+// narrations unpredictably, so separators are ignored.
+exports.findTransferCodes = narration => {
+  const compact = String(narration || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return [...new Set(compact.match(CODE_PATTERN) || [])];
+};